@@ -1,17 +1,52 @@
 import { ref } from 'vue';
+import { DEFAULT_AIRCRAFT_TYPE } from '../sim/aircraftProfiles';
 
 // Shared sim state for the entire app
 export const simState = ref({
   altitudeFt: 1500,
   headingDeg: 330,
-  speedKt: 110,
+  speedKt: 110, // indicated airspeed
+  tasKt: 110,
+  groundspeedKt: 110,
+  trackDeg: 330,
+  windDirectionDeg: 0,
+  windSpeedKt: 0,
   vsFpm: 0,
   lat: 37.7405,
   lon: -122.232,
   callsign: 'N123AB',
-  phase: 'enroute',
+  aircraftType: DEFAULT_AIRCRAFT_TYPE,
+  phase: 'enroute', // enroute | departure | arrival | approach | missed | landed
   targetHeadingDeg: null,
+  targetTrackDeg: null,
+  turnDirection: 'shortest',
+  lateralMode: null, // HDG | TRK | NAV | LOC (null = manual)
+  lateralArmedMode: null, // LOC while armed, before capture
+  verticalMode: null, // ALT | VS | FLCH | VNAV | GS | TOGA (go-around)
+  verticalArmedMode: null, // GS while armed, before capture
+  locDeviationDots: null, // > 0 = right of the localizer (2-dot scale)
+  gsDeviationDots: null, // > 0 = above the glidepath
+  distanceToThresholdNm: null,
+  navTarget: null, // Fix NAV is flying to (direct-to or the active route waypoint)
+  routeActiveIndex: null, // flightPlan row of the active LNAV waypoint
+  hold: null, // { fix, inboundCourseDeg, turnDirection, entry, phase, laps } while holding
+  aglFt: null, // Height above the terrain (null until the DEM tile is loaded)
+  terrainAlert: null, // TAWS: caution | warning
+  conflictAlert: null, // Conflict probe: caution | warning (loss of separation predicted)
+  conflicts: [], // Probe conflicts, soonest first: { trafficId, alert, timeToLossSec, cpaLateralNm, ... }
+  tcas: { advisory: null, resolution: null, intruders: [] }, // TA | RA; resolution: { sense, callout, minFpm, maxFpm, ... }
+  noGo: { inside: [], nextEntry: null }, // TFRs: { inside: [{ id, name }], nextEntry: { id, name, secondsToEntry } }
+  airspace: { sector: null, cleared: null, above: null, clearedClasses: [] }, // Class B/C/D (sim/airspace.js)
+  rangeBearingLines: [], // Ownship to traffic or fix: { id, type, target, distanceNm, magneticBearingDeg, clock, call, etaSec, ... }
+  crash: null, // { type: 'CFIT' | 'RUNWAY_EXCURSION', simTimeSeconds, lat, lon, altitudeFt, ... }
+  groundPhase: null, // linedUp | takeoffRoll | rotation | flare | touchdown | rollout | stopped
+  touchdown: null, // { score, rating, sinkRateFpm, centerlineDeviationFt, ... } of the last landing
+  approachOutcome: null, // landed | wentAround for the last approach flown
   targetAltitudeFt: null,
+  altitudeRestriction: null, // at | atOrAbove | atOrBelow | block | climbVia | descendVia
+  altitudeWindow: null, // { lowerFt, upperFt } cleared window (null = open on that side)
+  selectedVerticalSpeedFpm: null, // ATC-assigned climb/descent rate (VS mode)
+  expedite: false,
   targetSpeedKt: null,
   verticalSpeedLimitFpm: null,
   specialAction: null,
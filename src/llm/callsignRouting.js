@@ -0,0 +1,108 @@
+/**
+ * Callsign addressing for ATC transmissions
+ * Finds which of the aircraft on frequency a transmission is for, so each digital
+ * pilot only answers its own calls. Callsigns are recognized written ("N123AB"),
+ * spoken with the phonetic alphabet and number words ("November one two three
+ * alfa bravo"), abbreviated to the last three characters ("November three alfa
+ * bravo", "Skyhawk three alfa bravo"), and as airline telephony ("United 452" for
+ * UAL452). Traffic calls name other aircraft too, so the earliest callsign wins.
+ */
+
+import lexicon from '../../lexicon/phonetics.json' with { type: 'json' };
+
+// Spoken word -> character (lexicon words plus common spellings)
+const SPOKEN_CHARACTERS = new Map([
+  ...Object.entries(lexicon.icao_nato_phonetics).map(([char, word]) => [normalizeWord(word), char]),
+  ...Object.entries(lexicon.digits_pronunciation).map(([char, word]) => [normalizeWord(word), char]),
+  ['ALPHA', 'A'],
+  ['JULIET', 'J'],
+  ['ONE', '1'],
+  ['TWO', '2'],
+  ['THREE', '3'],
+  ['FOUR', '4'],
+  ['FIVE', '5'],
+  ['NINE', '9'],
+]);
+
+// ICAO airline designator -> telephony designator
+const AIRLINE_TELEPHONY = {
+  AAL: 'AMERICAN',
+  ASA: 'ALASKA',
+  DAL: 'DELTA',
+  FDX: 'FEDEX',
+  JBU: 'JETBLUE',
+  SKW: 'SKYWEST',
+  SWA: 'SOUTHWEST',
+  UAL: 'UNITED',
+  UPS: 'UPS',
+};
+
+function normalizeWord(word) {
+  return word.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function normalizeCallsign(callsign) {
+  return typeof callsign === 'string' ? callsign.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+// Words with the characters they spell: a phonetic word, a number word, or a
+// written identifier containing a digit ("N123AB", "452"); null for other words
+function toWords(text) {
+  return text
+    .split(/[\s,.;:!?()]+/)
+    .map(normalizeWord)
+    .filter(Boolean)
+    .map((word) => ({
+      word,
+      chars: SPOKEN_CHARACTERS.get(word) ?? (/\d/.test(word) ? word : null),
+    }));
+}
+
+// Characters spelled by the words from index on, up to the first ordinary word
+function spelledFrom(words, index) {
+  let chars = '';
+  for (let i = index; i < words.length && words[i].chars !== null; i++) chars += words[i].chars;
+  return chars;
+}
+
+function matchesAt(words, index, callsign) {
+  const spelled = spelledFrom(words, index);
+  if (spelled.startsWith(callsign)) return true;
+
+  // US civil registration abbreviated to the last three characters
+  const suffix = callsign.slice(-3);
+  if (/^N\d/.test(callsign) && /[A-Z]/.test(suffix)) {
+    const runStart = index === 0 || words[index - 1].chars === null;
+    if (spelled.startsWith(`N${suffix}`) || (runStart && spelled === suffix)) return true;
+  }
+
+  // Airline telephony followed by the flight number
+  const airline = AIRLINE_TELEPHONY[callsign.slice(0, 3)];
+  return (
+    Boolean(airline) &&
+    words[index].word === airline &&
+    /^\d/.test(callsign.slice(3)) &&
+    spelledFrom(words, index + 1).startsWith(callsign.slice(3))
+  );
+}
+
+/**
+ * @param {string} text - ATC transmission
+ * @param {string[]} callsigns - Aircraft on frequency
+ * @returns {string|null} The addressed callsign (as given), null when none is named
+ */
+export function findAddressedCallsign(text, callsigns) {
+  if (typeof text !== 'string' || !callsigns?.length) return null;
+  const words = toWords(text);
+  const candidates = callsigns
+    .map((callsign) => ({ callsign, normalized: normalizeCallsign(callsign) }))
+    .filter(({ normalized }) => normalized)
+    // Longest first, so N123ABC is not taken for N123AB
+    .sort((a, b) => b.normalized.length - a.normalized.length);
+
+  for (let index = 0; index < words.length; index++) {
+    const match = candidates.find(({ normalized }) => matchesAt(words, index, normalized));
+    if (match) return match.callsign;
+  }
+  return null;
+}
@@ -2,30 +2,122 @@ function isNumber(value) {
   return typeof value === 'number' && Number.isFinite(value);
 }
 
-export function applyIntentToSim(sim, intent, simStateRef) {
+// Response schema navigation.hold -> enterHold definition (leg time in seconds)
+function toHoldDefinition(hold) {
+  return {
+    fix:
+      typeof hold?.fix === 'string' && hold.fix.trim()
+        ? hold.fix.trim().toUpperCase()
+        : null,
+    inboundCourseDeg: isNumber(hold?.inboundCourseDeg) ? hold.inboundCourseDeg : null,
+    turnDirection: hold?.turnDirection === 'left' ? 'left' : 'right',
+    legLengthNm: isNumber(hold?.legLengthNm) ? hold.legLengthNm : null,
+    legTimeSec: isNumber(hold?.legTimeMin) ? hold.legTimeMin * 60 : null,
+  };
+}
+
+/**
+ * @param {Object} sim - Aircraft simulation (useAircraftSimulation)
+ * @param {Object} intent - Pilot intent (response schema `intent`)
+ * @param {Object} simStateRef - Shared sim state ref
+ * @param {Object} [options]
+ * @param {Function} [options.enterHold] - (hold) => status; resolves the hold fix name
+ *   and draws the pattern. Without it the hold is entered at present position.
+ * @param {Function} [options.directTo] - (fixName) => boolean; engages great-circle
+ *   NAV guidance to a navdata fix, false when the fix is unknown
+ * @param {Function} [options.resumeNavigation] - () => boolean; rejoins the flight plan
+ *   route, false when there is nothing to follow
+ * @param {Function} [options.goAround] - ({ publishedRoute }) => boolean; TOGA and the
+ *   published missed approach, false on the runway
+ */
+export function applyIntentToSim(sim, intent, simStateRef, options = {}) {
   if (!sim || !intent) return;
 
   console.log('[Intent Applier] Applying intent:', {
     targetAltitudeFt: intent.targetAltitudeFt,
+    altitudeRestriction: intent.altitudeRestriction,
     verticalMode: intent.verticalMode,
     currentAltitudeFt: simStateRef?.value?.altitudeFt,
   });
 
-  if (isNumber(intent.targetHeadingDeg)) {
-    console.log('[Intent Applier] Setting heading:', intent.targetHeadingDeg);
-    sim.setHeading(intent.targetHeadingDeg);
+  // "Turn left heading 270" must be flown left even when right is shorter
+  const turnDirection = intent.turnDirection || 'shortest';
+
+  if (intent.specialAction === 'goAround') {
+    // TOGA to the missed approach altitude; ATC's heading/altitude below replace the published ones
+    const publishedRoute = !isNumber(intent.targetHeadingDeg) && !isNumber(intent.targetTrackDeg);
+    const wentAround = options.goAround
+      ? options.goAround({ publishedRoute })
+      : sim.goAround?.();
+    if (wentAround) {
+      console.log('[Intent Applier] Go-around, published route:', publishedRoute);
+    } else {
+      console.warn('[Intent Applier] Go-around requested but already on the runway');
+    }
+  }
+
+  if (intent.specialAction === 'hold') {
+    // The hold replaces any heading; it is flown in NAV until ATC clears us onward
+    const hold = toHoldDefinition(intent.navigation?.hold);
+    console.log('[Intent Applier] Entering hold:', hold);
+    if (options.enterHold) {
+      options.enterHold(hold);
+    } else {
+      sim.enterHold?.({ ...hold, fix: null });
+    }
+  } else if (intent.specialAction === 'directToFix' && intent.navigation?.directTo) {
+    const fix = intent.navigation.directTo;
+    if (options.directTo?.(fix)) {
+      console.log('[Intent Applier] Direct to:', fix);
+    } else {
+      console.warn('[Intent Applier] Cannot go direct to unknown fix:', fix);
+      // Fall back to an assigned heading if the pilot gave one
+      if (isNumber(intent.targetHeadingDeg)) sim.setHeading(intent.targetHeadingDeg, turnDirection);
+    }
+  } else if (isNumber(intent.targetHeadingDeg)) {
+    console.log('[Intent Applier] Setting heading:', intent.targetHeadingDeg, turnDirection);
+    sim.setHeading(intent.targetHeadingDeg, turnDirection);
   } else if (intent.specialAction === 'resumeOwnNavigation') {
-    sim.clearHeading?.();
+    // Rejoin the route (or other NAV guidance) when there is any, otherwise drop lateral automation
+    const resumed = options.resumeNavigation
+      ? options.resumeNavigation()
+      : sim.engageNav?.();
+    if (!resumed) sim.clearHeading?.();
   }
 
-  if (isNumber(intent.targetTrackDeg)) {
-    console.log('[Intent Applier] Setting track:', intent.targetTrackDeg);
-    sim.setHeading(intent.targetTrackDeg);
+  if (intent.specialAction === 'interceptFinal') {
+    const courseDeg = isNumber(intent.targetTrackDeg)
+      ? intent.targetTrackDeg
+      : intent.navigation?.interceptCourseDeg;
+    if (sim.armApproach?.()) {
+      // Keep flying the assigned heading (or present heading) until LOC, then GS, capture
+      console.log('[Intent Applier] ILS approach armed (LOC + GS)');
+    } else if (sim.armLocalizer?.()) {
+      console.log('[Intent Applier] Localizer armed');
+    } else if (isNumber(courseDeg) && !isNumber(intent.targetHeadingDeg)) {
+      // No localizer for this runway: fly the final course as a track
+      console.log('[Intent Applier] No localizer, setting track:', courseDeg);
+      sim.setTrack?.(courseDeg, turnDirection);
+    }
+  } else if (isNumber(intent.targetTrackDeg)) {
+    console.log('[Intent Applier] Setting track:', intent.targetTrackDeg, turnDirection);
+    sim.setTrack?.(intent.targetTrackDeg, turnDirection);
   }
 
-  if (isNumber(intent.targetAltitudeFt)) {
-    console.log('[Intent Applier] Setting target altitude:', intent.targetAltitudeFt);
-    sim.setAltitude(intent.targetAltitudeFt);
+  const block = intent.altitudeBlock;
+  if (intent.altitudeRestriction === 'climbVia' || intent.altitudeRestriction === 'descendVia') {
+    // VNAV flies the route's constraints; targetAltitudeFt is the "except maintain" limit
+    const limitFt = isNumber(intent.targetAltitudeFt) ? intent.targetAltitudeFt : null;
+    const direction = intent.altitudeRestriction === 'climbVia' ? 'climb' : 'descend';
+    console.log('[Intent Applier] VNAV', intent.altitudeRestriction, 'limit:', limitFt);
+    sim.setVnav?.(direction, limitFt);
+  } else if (isNumber(block?.lowerFt) && isNumber(block?.upperFt)) {
+    console.log('[Intent Applier] Setting block altitude:', block.lowerFt, block.upperFt);
+    sim.setAltitudeBlock?.(block.lowerFt, block.upperFt);
+  } else if (isNumber(intent.targetAltitudeFt)) {
+    const restriction = intent.altitudeRestriction || 'at';
+    console.log('[Intent Applier] Setting target altitude:', intent.targetAltitudeFt, restriction);
+    sim.setAltitude(intent.targetAltitudeFt, restriction);
   } else if (intent.verticalMode === 'level') {
     // Maintain current altitude by setting it as target
     if (simStateRef?.value?.altitudeFt != null) {
@@ -42,6 +134,15 @@ export function applyIntentToSim(sim, intent, simStateRef) {
   }
   // Note: If altitude is not mentioned in intent, preserve existing target (don't clear it)
 
+  // Rates apply to the climb/descent just set (or still in progress)
+  if (isNumber(intent.targetVerticalSpeedFpm)) {
+    console.log('[Intent Applier] Setting vertical speed:', intent.targetVerticalSpeedFpm);
+    sim.setVerticalSpeed?.(intent.targetVerticalSpeedFpm);
+  }
+  if (intent.specialAction === 'expedite' && !sim.setExpedite?.(true)) {
+    console.warn('[Intent Applier] Expedite requested but no climb/descent in progress');
+  }
+
   if (isNumber(intent.targetSpeedKt)) {
     console.log('[Intent Applier] Setting target speed:', intent.targetSpeedKt);
     sim.setSpeed(intent.targetSpeedKt);
@@ -52,6 +153,11 @@ export function applyIntentToSim(sim, intent, simStateRef) {
   }
   // Note: If speed is not mentioned in intent, preserve existing target (don't clear it)
 
+  // Heading/altitude/speed above are flown once airborne; the roll starts now
+  if (intent.specialAction === 'takeoff' && !sim.beginTakeoff?.()) {
+    console.warn('[Intent Applier] Takeoff clearance but not lined up on a runway');
+  }
+
   if (simStateRef) {
     simStateRef.value = {
       ...simStateRef.value,
@@ -55,18 +55,93 @@ function formatTraffic(traffic) {
     .join('; ');
 }
 
+function formatTcas(tcas) {
+  if (!tcas || !tcas.advisory) return 'No advisories';
+  const intruders = tcas.intruders
+    .map((i) => `${i.level} ${i.trafficId} ${i.rangeNm} NM, ${i.relativeAltitudeFt >= 0 ? '+' : ''}${i.relativeAltitudeFt} ft`)
+    .join('; ');
+  if (!tcas.resolution) return `TA: ${intruders}`;
+  const { callout, minVerticalSpeedFpm: min, maxVerticalSpeedFpm: max } = tcas.resolution;
+  const band = [min !== null ? `at or above ${min} fpm` : null, max !== null ? `at or below ${max} fpm` : null]
+    .filter(Boolean)
+    .join(' and ');
+  const flown = tcas.autopilotFollowsRa ? 'the autopilot is flying it' : 'fly it';
+  return `RA "${callout}" (vertical speed ${band}; ${flown}); ${intruders}`;
+}
+
+function formatAirspace(airspace) {
+  if (!airspace) return 'Not reported';
+  const band = (s) => `${s.floorFt > 0 ? `${s.floorFt} ft` : 'surface'} to ${s.ceilingFt} ft`;
+  const where = airspace.sector
+    ? `inside ${airspace.sector.name} (${band(airspace.sector)}), ${airspace.cleared ? 'cleared' : 'NOT cleared'}`
+    : 'outside Class B/C/D';
+  const above = airspace.above ? `; ${airspace.above.name} above from ${airspace.above.floorFt} ft` : '';
+  const classes = airspace.clearedClasses.length ? airspace.clearedClasses.join(', ') : 'none';
+  return `${where}${above}; cleared into classes: ${classes}`;
+}
+
+function formatExchanges(exchanges) {
+  if (!exchanges || exchanges.length === 0) return 'None';
+  return exchanges.map((e) => `ATC: "${e.atcText}" / You: "${e.readback}"`).join('; ');
+}
+
+function formatWind(wind) {
+  if (!wind || !wind.speedKt) return 'Calm';
+  return `from ${Math.round(wind.directionDeg)}° at ${Math.round(wind.speedKt)} kt`;
+}
+
+function formatOptionalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? String(Math.round(value)) : 'unknown';
+}
+
+function formatAircraft(aircraft) {
+  if (!aircraft) return 'Unknown type; use conservative light-aircraft limits';
+  return `${aircraft.type} (${aircraft.name}, ${aircraft.category}): ${aircraft.minSpeedKt}-${aircraft.maxSpeedKt} kt indicated, climb up to ${aircraft.maxClimbFpm} fpm, descend up to ${aircraft.maxDescentFpm} fpm, turn rate up to ${aircraft.maxTurnRateDegps}°/s`;
+}
+
+function formatRunway(runway) {
+  if (!runway) return 'None assigned';
+  const base = `${runway.airport} ${runway.id}, runway heading ${Math.round(runway.headingDeg)}°, elevation ${runway.elevationFt} ft`;
+  if (!runway.ils) return base;
+  const da = runway.ils.decisionAltitudeFt != null ? `, DA ${runway.ils.decisionAltitudeFt} ft` : '';
+  const missed =
+    runway.ils.missedApproachAltitudeFt != null
+      ? `, missed approach ${runway.ils.missedApproachAltitudeFt} ft`
+      : '';
+  return `${base}; ILS ${runway.ils.ident ?? ''} course ${Math.round(runway.ils.courseDeg)}°, glideslope ${runway.ils.glideslopeDeg}°${da}${missed}`;
+}
+
+function formatFixes(fixes) {
+  if (!fixes || fixes.length === 0) return 'None loaded';
+  return fixes
+    .map((f) => {
+      const name = f.name && f.name !== f.ident ? `, ${f.name}` : '';
+      return `${f.ident} (${f.type}${name}) ${Math.round(f.bearingDeg)}°/${f.distanceNm} NM`;
+    })
+    .join('; ');
+}
+
 function buildDeveloperPrompt(request) {
   let prompt = developerPromptTemplate;
   prompt = replaceAll(prompt, '{{CONTENTS_OF../schemas/response.schema.json}}', responseSchemaString);
   prompt = replaceAll(prompt, '{callsign}', request.callsign);
   prompt = replaceAll(prompt, '{phase}', request.phase);
+  prompt = replaceAll(prompt, '{aircraft}', formatAircraft(request.aircraft));
+  prompt = replaceAll(prompt, '{runway}', formatRunway(request.runway));
+  prompt = replaceAll(prompt, '{fixes}', formatFixes(request.fixes));
   prompt = replaceAll(prompt, '{lat}', String(request.state.lat));
   prompt = replaceAll(prompt, '{lon}', String(request.state.lon));
   prompt = replaceAll(prompt, '{altitudeFt}', String(request.state.altitudeFt));
   prompt = replaceAll(prompt, '{headingDeg}', String(request.state.headingDeg));
   prompt = replaceAll(prompt, '{groundspeedKt}', String(request.state.groundspeedKt));
+  prompt = replaceAll(prompt, '{indicatedAirspeedKt}', formatOptionalNumber(request.state.indicatedAirspeedKt));
+  prompt = replaceAll(prompt, '{trackDeg}', formatOptionalNumber(request.state.trackDeg));
+  prompt = replaceAll(prompt, '{wind}', formatWind(request.state.wind));
   prompt = replaceAll(prompt, '{vsFpm}', String(request.state.vsFpm));
   prompt = replaceAll(prompt, '{traffic}', formatTraffic(request.traffic));
+  prompt = replaceAll(prompt, '{tcas}', formatTcas(request.tcas));
+  prompt = replaceAll(prompt, '{airspace}', formatAirspace(request.airspace));
+  prompt = replaceAll(prompt, '{recentExchanges}', formatExchanges(request.recentExchanges));
   prompt = replaceAll(prompt, '{atcText}', escapeDoubleQuotes(request.atcText));
   return prompt.trim();
 }
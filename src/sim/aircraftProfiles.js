@@ -0,0 +1,92 @@
+/**
+ * Aircraft performance profiles
+ * Limits live as data in data/aircraftProfiles.json (keyed by ICAO type
+ * designator) so experiments can add or retune airframes without touching the
+ * flight model. Units follow the rest of the sim: kt, fpm, deg, deg/s.
+ */
+
+import profileData from '../../data/aircraftProfiles.json' with { type: 'json' };
+
+export const DEFAULT_AIRCRAFT_TYPE = 'BE20';
+
+const NUMERIC_FIELDS = [
+  'minSpeedKt',
+  'maxSpeedKt',
+  'cruiseSpeedKt',
+  'approachSpeedKt',
+  'rotateSpeedKt',
+  'speedAccelKtps',
+  'maxTurnRateDegps',
+  'maxBankDeg',
+  'maxClimbFpm',
+  'maxDescentFpm',
+  'maxPitchDeg',
+];
+
+function buildProfile(type, data) {
+  for (const field of NUMERIC_FIELDS) {
+    if (!Number.isFinite(data[field])) {
+      throw new Error(`Aircraft profile ${type} is missing numeric field "${field}"`);
+    }
+  }
+  if (data.minSpeedKt >= data.maxSpeedKt) {
+    throw new Error(`Aircraft profile ${type} has minSpeedKt >= maxSpeedKt`);
+  }
+  return Object.freeze({
+    type,
+    name: data.name || type,
+    category: data.category === 'helicopter' ? 'helicopter' : 'airplane',
+    ...Object.fromEntries(NUMERIC_FIELDS.map((field) => [field, data[field]])),
+  });
+}
+
+const profiles = Object.freeze(
+  Object.fromEntries(
+    Object.entries(profileData).map(([type, data]) => [type, buildProfile(type, data)])
+  )
+);
+
+/**
+ * @returns {Array<string>} Known type designators (e.g. ['C172', 'BE20', ...])
+ */
+export function listAircraftTypes() {
+  return Object.keys(profiles);
+}
+
+export function hasAircraftProfile(type) {
+  return typeof type === 'string' && type.toUpperCase() in profiles;
+}
+
+/**
+ * Looks up a profile by type designator (case-insensitive)
+ * Unknown or missing types fall back to DEFAULT_AIRCRAFT_TYPE with a warning,
+ * so a typo in a scenario does not stop the sim.
+ * @param {string} [type]
+ * @returns {Object} Frozen profile
+ */
+export function getAircraftProfile(type) {
+  if (hasAircraftProfile(type)) return profiles[type.toUpperCase()];
+  if (type) {
+    console.warn(
+      `[Aircraft Profiles] Unknown aircraftType "${type}", using ${DEFAULT_AIRCRAFT_TYPE}`
+    );
+  }
+  return profiles[DEFAULT_AIRCRAFT_TYPE];
+}
+
+/**
+ * Limits the pilot needs to plan within (request schema `aircraft`)
+ * @param {Object} profile - From getAircraftProfile
+ */
+export function describeAircraftLimits(profile) {
+  return {
+    type: profile.type,
+    name: profile.name,
+    category: profile.category,
+    minSpeedKt: profile.minSpeedKt,
+    maxSpeedKt: profile.maxSpeedKt,
+    maxClimbFpm: profile.maxClimbFpm,
+    maxDescentFpm: profile.maxDescentFpm,
+    maxTurnRateDegps: profile.maxTurnRateDegps,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * Class B/C/D airspace: sector lookup and entry without the required clearance
+ * Airspaces live in data/airspace.json. Each is a set of sectors around its airport
+ * (data/airports.json): rings from innerNm to outerNm, optionally cut to an arc from
+ * fromBearingDeg clockwise to toBearingDeg (true), each with its own floor and
+ * ceiling (ft MSL, floorFt 0 = surface). Shapes are approximate and for the sim only.
+ * Where sectors overlap, the higher class is the one the aircraft is in.
+ *
+ * Entry requirements: Class B needs an explicit clearance ("cleared into the Class
+ * Bravo"); Class C and D need two-way radio communication, which any ATC call naming
+ * the aircraft establishes. A scenario can start the aircraft cleared (e.g. IFR).
+ */
+
+import airspaceData from '../../data/airspace.json' with { type: 'json' };
+import { getAirport } from './runways.js';
+import { destinationPoint, greatCircleBearingDeg, greatCircleDistanceNm } from './geo.js';
+
+export const AIRSPACE_CLASSES = Object.freeze(['B', 'C', 'D']); // Precedence order
+
+const OUTLINE_STEP_DEG = 5;
+const CLASS_WORDS = { B: 'b|bravo', C: 'c|charlie', D: 'd|delta' };
+
+function buildSector(airspace, center, sector) {
+  for (const field of ['innerNm', 'outerNm', 'floorFt', 'ceilingFt']) {
+    if (!Number.isFinite(sector[field])) {
+      throw new Error(`Airspace ${airspace.id} sector ${sector.id} is missing numeric field "${field}"`);
+    }
+  }
+  const hasArc = Number.isFinite(sector.fromBearingDeg) && Number.isFinite(sector.toBearingDeg);
+  return Object.freeze({
+    id: `${airspace.id}_${sector.id}`,
+    airspaceId: airspace.id,
+    name: airspace.name,
+    class: airspace.class,
+    floorFt: sector.floorFt,
+    ceilingFt: sector.ceilingFt,
+    centerLat: center.lat,
+    centerLon: center.lon,
+    innerNm: sector.innerNm,
+    outerNm: sector.outerNm,
+    fromBearingDeg: hasArc ? sector.fromBearingDeg : null,
+    toBearingDeg: hasArc ? sector.toBearingDeg : null,
+  });
+}
+
+const sectors = Object.freeze(
+  (airspaceData.airspaces || []).flatMap((airspace) => {
+    if (!AIRSPACE_CLASSES.includes(airspace.class)) {
+      throw new Error(`Airspace ${airspace.id} has unknown class "${airspace.class}"`);
+    }
+    const center = getAirport(airspace.airport);
+    if (!Number.isFinite(center?.lat) || !Number.isFinite(center?.lon)) {
+      throw new Error(`Airspace ${airspace.id} needs an airport with lat and lon`);
+    }
+    return (airspace.sectors || []).map((sector) => buildSector(airspace, center, sector));
+  })
+);
+
+const classRank = (sector) => AIRSPACE_CLASSES.indexOf(sector.class);
+
+export function listAirspaceSectors() {
+  return sectors;
+}
+
+// Bearing inside the arc from fromBearingDeg clockwise to toBearingDeg
+function withinArc(sector, bearingDeg) {
+  if (sector.fromBearingDeg === null) return true;
+  const span = (sector.toBearingDeg - sector.fromBearingDeg + 360) % 360;
+  return (bearingDeg - sector.fromBearingDeg + 360) % 360 <= span;
+}
+
+function isWithinLateral(sector, lat, lon) {
+  const distanceNm = greatCircleDistanceNm(sector.centerLat, sector.centerLon, lat, lon);
+  if (distanceNm >= sector.outerNm || (sector.innerNm > 0 && distanceNm < sector.innerNm)) {
+    return false;
+  }
+  return withinArc(sector, greatCircleBearingDeg(sector.centerLat, sector.centerLon, lat, lon));
+}
+
+export function isInsideSector(sector, lat, lon, altitudeFt) {
+  const floorFt = sector.floorFt > 0 ? sector.floorFt : -Infinity;
+  return (
+    altitudeFt >= floorFt && altitudeFt <= sector.ceilingFt && isWithinLateral(sector, lat, lon)
+  );
+}
+
+/**
+ * Sectors containing the position, highest class first
+ * @returns {Array<Object>} Frozen sectors (see buildSector)
+ */
+export function findSectors(lat, lon, altitudeFt) {
+  return sectors
+    .filter((sector) => isInsideSector(sector, lat, lon, altitudeFt))
+    .sort((a, b) => classRank(a) - classRank(b));
+}
+
+/**
+ * Lowest sector overhead, e.g. the Class B shelf a VFR aircraft stays under
+ * @returns {Object|null} Frozen sector or null when nothing is above
+ */
+export function findSectorAbove(lat, lon, altitudeFt) {
+  let above = null;
+  for (const sector of sectors) {
+    if (sector.floorFt <= altitudeFt || !isWithinLateral(sector, lat, lon)) continue;
+    if (!above || sector.floorFt < above.floorFt) above = sector;
+  }
+  return above;
+}
+
+/**
+ * Sector boundary for drawing
+ * @returns {Array<Array<[number, number]>>} GeoJSON Polygon coordinates ([lon, lat] rings)
+ */
+export function sectorOutline(sector) {
+  const arc = (radiusNm, fromDeg, toDeg) => {
+    const points = [];
+    const span = toDeg > fromDeg ? toDeg - fromDeg : toDeg - fromDeg + 360;
+    const steps = Math.max(1, Math.ceil(span / OUTLINE_STEP_DEG));
+    for (let i = 0; i <= steps; i += 1) {
+      const point = destinationPoint(
+        sector.centerLat,
+        sector.centerLon,
+        fromDeg + (span * i) / steps,
+        radiusNm
+      );
+      points.push([point.lon, point.lat]);
+    }
+    return points;
+  };
+
+  if (sector.fromBearingDeg === null) {
+    const outer = arc(sector.outerNm, 0, 360);
+    return sector.innerNm > 0 ? [outer, arc(sector.innerNm, 0, 360).reverse()] : [outer];
+  }
+  const outer = arc(sector.outerNm, sector.fromBearingDeg, sector.toBearingDeg);
+  const inner =
+    sector.innerNm > 0
+      ? arc(sector.innerNm, sector.fromBearingDeg, sector.toBearingDeg).reverse()
+      : [[sector.centerLon, sector.centerLat]];
+  return [[...outer, ...inner, outer[0]]];
+}
+
+/**
+ * Clearances an ATC call gives the aircraft it names
+ * @returns {{cleared: Array<string>, refused: Array<string>}} Classes; "remain outside
+ *   (the) Class X" refuses that class, "cleared into/through (the) Class Bravo" clears B,
+ *   and the call itself clears C and D (two-way radio communication)
+ */
+export function parseAirspaceClearance(atcText) {
+  const text = String(atcText ?? '');
+  const cleared = ['C', 'D'];
+  const refused = [];
+  for (const [airspaceClass, words] of Object.entries(CLASS_WORDS)) {
+    const name = `class (?:${words})\\b`;
+    if (new RegExp(`\\bremain (?:outside|clear of)\\b[^.]*?\\b${name}`, 'i').test(text)) {
+      refused.push(airspaceClass);
+    } else if (
+      airspaceClass === 'B' &&
+      new RegExp(`\\bcleared (?:into|through|to enter)\\b[^.]*?\\b${name}`, 'i').test(text)
+    ) {
+      cleared.push(airspaceClass);
+    }
+  }
+  return { cleared: cleared.filter((item) => !refused.includes(item)), refused };
+}
+
+function describeSector(sector) {
+  if (!sector) return null;
+  return {
+    id: sector.id,
+    airspaceId: sector.airspaceId,
+    name: sector.name,
+    class: sector.class,
+    floorFt: sector.floorFt,
+    ceilingFt: sector.ceilingFt,
+  };
+}
+
+/**
+ * Tracks the ownship's airspace and entries without clearance across updates
+ * @returns {Object} Monitor with update(simTimeSeconds, state), setClearedClasses(classes),
+ *   applyAtcCall(atcText), getStatus(), getViolations() and reset()
+ */
+export function createAirspaceMonitor() {
+  let startClasses = []; // Cleared at the start of every run (scenario `airspace`)
+  const cleared = new Set();
+  const occupied = new Map(); // airspace id -> { sector (last one in), violation (open or null) }
+  let violations = [];
+  let status = { sector: null, cleared: null, above: null, clearedClasses: [] };
+
+  function closeViolation(entry, simTimeSeconds) {
+    const { violation } = entry;
+    if (!violation) return null;
+    violation.endSec = simTimeSeconds;
+    entry.violation = null;
+    return { ...violation };
+  }
+
+  /**
+   * @param {number} simTimeSeconds
+   * @param {Object} state - { lat, lon, altitudeFt }
+   * @returns {Array<Object>} Events, each with the airspace's sector: entered (with
+   *   cleared), cleared (a clearance ended a violation) and exited; violations are
+   *   { airspaceId, name, class, entrySec, endSec }
+   */
+  function update(simTimeSeconds, state) {
+    const events = [];
+    const inside = findSectors(state.lat, state.lon, state.altitudeFt);
+    const present = new Map();
+    for (const sector of inside) {
+      if (!present.has(sector.airspaceId)) present.set(sector.airspaceId, sector);
+    }
+
+    for (const [id, sector] of present) {
+      const isCleared = cleared.has(sector.class);
+      const entry = occupied.get(id);
+      if (!entry) {
+        const violation = isCleared
+          ? null
+          : {
+              airspaceId: id,
+              name: sector.name,
+              class: sector.class,
+              entrySec: simTimeSeconds,
+              endSec: null,
+            };
+        occupied.set(id, { sector, violation });
+        if (violation) violations.push(violation);
+        events.push({
+          type: 'entered',
+          simTimeSeconds,
+          sector: describeSector(sector),
+          cleared: isCleared,
+        });
+        continue;
+      }
+      entry.sector = sector;
+      if (isCleared && entry.violation) {
+        const violation = closeViolation(entry, simTimeSeconds);
+        events.push({ type: 'cleared', simTimeSeconds, sector: describeSector(sector), violation });
+      }
+    }
+
+    for (const [id, entry] of [...occupied]) {
+      if (present.has(id)) continue;
+      occupied.delete(id);
+      events.push({
+        type: 'exited',
+        simTimeSeconds,
+        sector: describeSector(entry.sector),
+        violation: closeViolation(entry, simTimeSeconds),
+      });
+    }
+
+    const sector = inside[0] ?? null;
+    status = {
+      sector: describeSector(sector),
+      cleared: sector ? cleared.has(sector.class) : null,
+      above: describeSector(findSectorAbove(state.lat, state.lon, state.altitudeFt)),
+      clearedClasses: AIRSPACE_CLASSES.filter((item) => cleared.has(item)),
+    };
+    return events;
+  }
+
+  // The status follows clearance changes before the next update
+  function refreshClearance() {
+    status = {
+      ...status,
+      cleared: status.sector ? cleared.has(status.sector.class) : null,
+      clearedClasses: AIRSPACE_CLASSES.filter((item) => cleared.has(item)),
+    };
+  }
+
+  function restoreStartClearances() {
+    cleared.clear();
+    for (const item of startClasses) cleared.add(item);
+    refreshClearance();
+  }
+
+  return {
+    update,
+
+    // Classes the aircraft is cleared into from the start of each run
+    setClearedClasses(classes) {
+      startClasses = AIRSPACE_CLASSES.filter((item) => (classes ?? []).includes(item));
+      restoreStartClearances();
+    },
+
+    // An ATC call naming the aircraft; returns parseAirspaceClearance's result
+    applyAtcCall(atcText) {
+      const result = parseAirspaceClearance(atcText);
+      for (const item of result.cleared) cleared.add(item);
+      for (const item of result.refused) cleared.delete(item);
+      refreshClearance();
+      return result;
+    },
+
+    // { sector, cleared (null outside B/C/D), above, clearedClasses }; sectors as describeSector
+    getStatus() {
+      return { ...status, clearedClasses: [...status.clearedClasses] };
+    },
+
+    // Entries without clearance: { airspaceId, name, class, entrySec, endSec (null while open) }
+    getViolations() {
+      return violations.map((violation) => ({ ...violation }));
+    },
+
+    reset() {
+      occupied.clear();
+      violations = [];
+      status = { sector: null, cleared: null, above: null, clearedClasses: [] };
+      restoreStartClearances();
+    },
+  };
+}
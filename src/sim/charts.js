@@ -0,0 +1,135 @@
+/**
+ * Chart overlays: georeferenced chart images registered in data/charts.json
+ * Images live under public/ (`image` is relative to it). A chart is placed either by
+ * its `coordinates` (four [lon, lat] corners: top-left, top-right, bottom-right,
+ * bottom-left, as a Mapbox image source takes them) or by `controlPoints`
+ * { pixel: [x, y], lat, lon } with the image `size` [width, height] in pixels. Two
+ * control points fit scale, rotation and offset (enough for a north-up chart drawn to
+ * scale, like an approach plate's plan view); three or more a least-squares affine.
+ * Fits are made in the sim's local projection (sim/geo.js), which keeps a chart at
+ * constant scale undistorted.
+ */
+
+import chartData from '../../data/charts.json' with { type: 'json' };
+import { createLocalProjection } from './geo.js';
+
+const DEFAULT_OPACITY = 0.7;
+
+const isPosition = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lon);
+const isPair = (pair) => Array.isArray(pair) && pair.length === 2 && pair.every(Number.isFinite);
+
+// Exact scale, rotation and offset through two points (complex numbers, y down)
+function fitSimilarity([first, second]) {
+  const [u1, v1] = first.pixel;
+  const [u2, v2] = second.pixel;
+  const du = u2 - u1;
+  const dv = v2 - v1;
+  const dx = second.x - first.x;
+  const dy = second.y - first.y;
+  const norm = du * du + dv * dv;
+  if (norm === 0) throw new Error('Chart control points must be at different pixels');
+  const a = (dx * du + dy * dv) / norm;
+  const b = (dy * du - dx * dv) / norm;
+  return ([u, v]) => ({
+    x: first.x + a * (u - u1) - b * (v - v1),
+    y: first.y + b * (u - u1) + a * (v - v1),
+  });
+}
+
+function solve3(m, r) {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) throw new Error('Chart control points must not be in a line');
+  return [0, 1, 2].map((column) =>
+    det(m.map((row, i) => row.map((value, j) => (j === column ? r[i] : value)))) / d
+  );
+}
+
+// Least-squares affine through three or more points (normal equations)
+function fitAffine(points) {
+  const normal = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const rightX = [0, 0, 0];
+  const rightY = [0, 0, 0];
+  for (const point of points) {
+    const row = [point.pixel[0], point.pixel[1], 1];
+    for (let i = 0; i < 3; i += 1) {
+      for (let j = 0; j < 3; j += 1) normal[i][j] += row[i] * row[j];
+      rightX[i] += row[i] * point.x;
+      rightY[i] += row[i] * point.y;
+    }
+  }
+  const [ax, bx, cx] = solve3(normal, rightX);
+  const [ay, by, cy] = solve3(normal, rightY);
+  return ([u, v]) => ({ x: ax * u + bx * v + cx, y: ay * u + by * v + cy });
+}
+
+// Corners from control points: pixel -> local meters -> lat/lon
+function cornersFromControlPoints(chart) {
+  const [width, height] = chart.size;
+  const projection = createLocalProjection(chart.controlPoints[0].lat, chart.controlPoints[0].lon);
+  const points = chart.controlPoints.map((point) => ({
+    pixel: point.pixel,
+    ...projection.toLocal(point.lat, point.lon),
+  }));
+  const toLocal = points.length === 2 ? fitSimilarity(points) : fitAffine(points);
+  return [
+    [0, 0],
+    [width, 0],
+    [width, height],
+    [0, height],
+  ].map((pixel) => {
+    const { x, y } = toLocal(pixel);
+    const { lat, lon } = projection.toLatLon(x, y);
+    return [lon, lat];
+  });
+}
+
+function buildChart(entry) {
+  if (!entry.id || !entry.image) {
+    throw new Error(`Chart ${entry.id ?? '(no id)'} needs id and image`);
+  }
+  let coordinates;
+  if (Array.isArray(entry.coordinates)) {
+    if (entry.coordinates.length !== 4 || !entry.coordinates.every(isPair)) {
+      throw new Error(`Chart ${entry.id} coordinates need four [lon, lat] corners`);
+    }
+    coordinates = entry.coordinates.map(([lon, lat]) => [lon, lat]);
+  } else {
+    const points = entry.controlPoints ?? [];
+    if (!isPair(entry.size) || points.length < 2) {
+      throw new Error(`Chart ${entry.id} needs coordinates, or size and two or more controlPoints`);
+    }
+    if (!points.every((point) => isPair(point.pixel) && isPosition(point))) {
+      throw new Error(`Chart ${entry.id} control points need pixel, lat and lon`);
+    }
+    coordinates = cornersFromControlPoints(entry);
+  }
+  return Object.freeze({
+    id: entry.id,
+    label: entry.label || entry.id,
+    title: entry.title || entry.label || entry.id,
+    image: entry.image,
+    opacity: Number.isFinite(entry.opacity) ? entry.opacity : DEFAULT_OPACITY,
+    coordinates: Object.freeze(coordinates),
+  });
+}
+
+const charts = Object.freeze((chartData.charts || []).map(buildChart));
+
+/**
+ * @returns {Array<Object>} Frozen charts: { id, label, title, image, opacity, coordinates }
+ */
+export function listCharts() {
+  return charts;
+}
+
+export function getChart(chartId) {
+  return charts.find((chart) => chart.id === chartId) ?? null;
+}
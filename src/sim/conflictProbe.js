@@ -0,0 +1,274 @@
+/**
+ * Conflict probe: closest point of approach and loss of separation against traffic
+ * Projects the ownship and each contact ahead on straight lines at their present
+ * ground velocity and vertical speed (like taws.js does against terrain):
+ *   caution - separation predicted to be lost within 120 s
+ *   warning - separation predicted to be lost within 60 s
+ * Separation is lost when both the lateral and the vertical distance are inside
+ * the minima (3 NM / 1,000 ft by default, terminal radar). All thresholds can be
+ * changed per scenario (`separation`). The probe is ground truth from the sim, to
+ * compare with what the pilot reports in `safetyFlags.conflictPredicted`.
+ * Local coordinates as in flightModel.js (x = east m, y = south m).
+ */
+
+export const CONFLICT_ALERTS = Object.freeze(['caution', 'warning']);
+
+export const DEFAULT_SEPARATION = Object.freeze({
+  lateralNm: 3,
+  verticalFt: 1000,
+  cautionLookaheadSec: 120,
+  warningLookaheadSec: 60,
+});
+
+const NM_TO_M = 1852;
+const EPSILON = 1e-9;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Times in [start, end] where |offset + rate * t| < limit; null when never
+function verticalWindow(offset, rate, limit) {
+  if (Math.abs(rate) < EPSILON) {
+    return Math.abs(offset) < limit ? [-Infinity, Infinity] : null;
+  }
+  const a = (-limit - offset) / rate;
+  const b = (limit - offset) / rate;
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+// Times in [start, end] where the horizontal distance is under limit; null when never
+function lateralWindow(east, north, velocityEast, velocityNorth, limit) {
+  const a = velocityEast * velocityEast + velocityNorth * velocityNorth;
+  const c = east * east + north * north - limit * limit;
+  if (a < EPSILON) return c < 0 ? [-Infinity, Infinity] : null;
+  const b = 2 * (east * velocityEast + north * velocityNorth);
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant <= 0) return null;
+  const root = Math.sqrt(discriminant);
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+}
+
+/**
+ * Closest point of approach and predicted loss of separation between two aircraft
+ * @param {Object} ownship - { x, y, altitudeFt, groundEastMps, groundNorthMps, verticalSpeedFpm }
+ * @param {Object} traffic - Same fields
+ * @param {Object} [separation] - DEFAULT_SEPARATION fields
+ * @returns {{lateralNm: number, verticalFt: number, timeToCpaSec: number,
+ *   cpaLateralNm: number, cpaVerticalFt: number, timeToLossSec: number|null,
+ *   lossOfSeparation: boolean, alert: string|null}} Distances are absolute;
+ *   timeToCpaSec is 0 when the aircraft are diverging
+ */
+export function probeConflict(ownship, traffic, separation = DEFAULT_SEPARATION) {
+  const east = traffic.x - ownship.x;
+  const north = ownship.y - traffic.y;
+  const velocityEast = traffic.groundEastMps - ownship.groundEastMps;
+  const velocityNorth = traffic.groundNorthMps - ownship.groundNorthMps;
+  const altitudeOffsetFt = traffic.altitudeFt - ownship.altitudeFt;
+  const climbRateFtps = (traffic.verticalSpeedFpm - ownship.verticalSpeedFpm) / 60;
+
+  const closingSq = velocityEast * velocityEast + velocityNorth * velocityNorth;
+  const timeToCpaSec =
+    closingSq < EPSILON ? 0 : Math.max(0, -(east * velocityEast + north * velocityNorth) / closingSq);
+
+  const lateralNm = Math.hypot(east, north) / NM_TO_M;
+  const verticalFt = Math.abs(altitudeOffsetFt);
+  const lossOfSeparation = lateralNm < separation.lateralNm && verticalFt < separation.verticalFt;
+
+  // Earliest time inside both minima within the caution look-ahead
+  let timeToLossSec = lossOfSeparation ? 0 : null;
+  if (!lossOfSeparation) {
+    const lateral = lateralWindow(
+      east,
+      north,
+      velocityEast,
+      velocityNorth,
+      separation.lateralNm * NM_TO_M
+    );
+    const vertical = verticalWindow(altitudeOffsetFt, climbRateFtps, separation.verticalFt);
+    if (lateral && vertical) {
+      const start = Math.max(0, lateral[0], vertical[0]);
+      const end = Math.min(separation.cautionLookaheadSec, lateral[1], vertical[1]);
+      if (start < end) timeToLossSec = start;
+    }
+  }
+
+  let alert = null;
+  if (timeToLossSec !== null) {
+    alert = timeToLossSec <= separation.warningLookaheadSec ? 'warning' : 'caution';
+  }
+
+  return {
+    lateralNm,
+    verticalFt,
+    timeToCpaSec,
+    cpaLateralNm:
+      Math.hypot(east + velocityEast * timeToCpaSec, north + velocityNorth * timeToCpaSec) /
+      NM_TO_M,
+    cpaVerticalFt: Math.abs(altitudeOffsetFt + climbRateFtps * timeToCpaSec),
+    timeToLossSec,
+    lossOfSeparation,
+    alert,
+  };
+}
+
+/**
+ * Traffic velocities from successive positions, like a radar track, so scripted,
+ * piloted and replayed traffic are all handled the same way (also used by tcas.js)
+ * @returns {Object} Tracker with update(simTimeSeconds, contacts) and reset()
+ */
+export function createTrafficTracker() {
+  const tracks = new Map(); // id -> last tracked state
+
+  // Contact state with velocities from the previous sample (at rest on the first)
+  function trackContact(contact, simTimeSeconds) {
+    const previous = tracks.get(contact.id);
+    const dt = previous ? simTimeSeconds - previous.simTimeSeconds : 0;
+    const velocities =
+      dt > 0
+        ? {
+            groundEastMps: (contact.x - previous.x) / dt,
+            groundNorthMps: (previous.y - contact.y) / dt,
+            verticalSpeedFpm: ((contact.altitudeFt - previous.altitudeFt) / dt) * 60,
+          }
+        : {
+            groundEastMps: previous?.groundEastMps ?? 0,
+            groundNorthMps: previous?.groundNorthMps ?? 0,
+            verticalSpeedFpm: previous?.verticalSpeedFpm ?? 0,
+          };
+    const tracked = { ...contact, ...velocities, simTimeSeconds };
+    tracks.set(contact.id, tracked);
+    return tracked;
+  }
+
+  return {
+    /**
+     * @param {number} simTimeSeconds
+     * @param {Array<{id, x, y, altitudeFt}>} contacts - Positions at this sim time (altitudes MSL)
+     * @returns {Array<Object>} The contacts with groundEastMps, groundNorthMps and
+     *   verticalSpeedFpm; contacts no longer listed are forgotten
+     */
+    update(simTimeSeconds, contacts) {
+      const tracked = contacts.map((contact) => trackContact(contact, simTimeSeconds));
+      const listed = new Set(contacts.map((contact) => contact.id));
+      for (const id of [...tracks.keys()]) {
+        if (!listed.has(id)) tracks.delete(id);
+      }
+      return tracked;
+    },
+
+    reset() {
+      tracks.clear();
+    },
+  };
+}
+
+/**
+ * Probes the ownship against every contact and keeps the loss-of-separation log
+ * @param {Object} [separation] - Overrides for DEFAULT_SEPARATION
+ * @returns {Object} Probe with update(simTimeSeconds, ownship, traffic), getConflicts(),
+ *   getLog(), setSeparation(overrides) and reset()
+ */
+export function createConflictProbe(separation = {}) {
+  let minima = { ...DEFAULT_SEPARATION };
+  const alerts = new Map(); // id -> alert reported for the contact
+  const losses = new Map(); // id -> open log entry
+  let conflicts = [];
+  let log = [];
+
+  function setSeparation(overrides = {}) {
+    minima = { ...DEFAULT_SEPARATION };
+    for (const key of Object.keys(DEFAULT_SEPARATION)) {
+      if (isNumber(overrides?.[key]) && overrides[key] > 0) minima[key] = overrides[key];
+    }
+  }
+
+  function closeLoss(id, simTimeSeconds, events) {
+    const entry = losses.get(id);
+    if (!entry) return;
+    entry.endSec = simTimeSeconds;
+    losses.delete(id);
+    events.push({ type: 'separationRestored', trafficId: id, simTimeSeconds, loss: { ...entry } });
+  }
+
+  /**
+   * @param {number} simTimeSeconds
+   * @param {Object} ownship - { x, y, altitudeFt, groundEastMps, groundNorthMps, verticalSpeedFpm }
+   * @param {Array<Object>} traffic - Tracked contacts (createTrafficTracker), altitudes MSL
+   * @returns {Array<Object>} Events: caution/warning onsets and escalations,
+   *   lossOfSeparation and separationRestored, each with trafficId and simTimeSeconds
+   */
+  function update(simTimeSeconds, ownship, traffic) {
+    const events = [];
+    const seen = new Set();
+    conflicts = [];
+
+    for (const contact of traffic) {
+      seen.add(contact.id);
+      const result = probeConflict(ownship, contact, minima);
+      const conflict = { trafficId: contact.id, ...result };
+      if (result.alert) conflicts.push(conflict);
+
+      const reported = alerts.get(contact.id) ?? null;
+      if (result.alert && CONFLICT_ALERTS.indexOf(result.alert) > CONFLICT_ALERTS.indexOf(reported)) {
+        events.push({ type: result.alert, trafficId: contact.id, simTimeSeconds, conflict });
+      }
+      alerts.set(contact.id, result.alert);
+
+      const entry = losses.get(contact.id);
+      if (result.lossOfSeparation && !entry) {
+        const loss = {
+          trafficId: contact.id,
+          startSec: simTimeSeconds,
+          endSec: null,
+          minLateralNm: result.lateralNm,
+          minVerticalFt: result.verticalFt,
+        };
+        losses.set(contact.id, loss);
+        log.push(loss);
+        events.push({ type: 'lossOfSeparation', trafficId: contact.id, simTimeSeconds, conflict });
+      } else if (result.lossOfSeparation) {
+        entry.minLateralNm = Math.min(entry.minLateralNm, result.lateralNm);
+        entry.minVerticalFt = Math.min(entry.minVerticalFt, result.verticalFt);
+      } else {
+        closeLoss(contact.id, simTimeSeconds, events);
+      }
+    }
+
+    // Contacts that left the frequency
+    for (const id of [...alerts.keys()]) {
+      if (seen.has(id)) continue;
+      alerts.delete(id);
+      closeLoss(id, simTimeSeconds, events);
+    }
+
+    conflicts.sort((a, b) => a.timeToLossSec - b.timeToLossSec);
+    return events;
+  }
+
+  setSeparation(separation);
+
+  return {
+    update,
+    setSeparation,
+
+    // Predicted and present conflicts from the last update, soonest first
+    getConflicts() {
+      return conflicts.map((conflict) => ({ ...conflict }));
+    },
+
+    // Losses of separation: { trafficId, startSec, endSec (null while lost), minLateralNm, minVerticalFt }
+    getLog() {
+      return log.map((entry) => ({ ...entry }));
+    },
+
+    get separation() {
+      return { ...minima };
+    },
+
+    reset() {
+      alerts.clear();
+      losses.clear();
+      conflicts = [];
+      log = [];
+    },
+  };
+}
@@ -1,3 +1,5 @@
+import { DEFAULT_AIRCRAFT_TYPE } from './aircraftProfiles.js';
+
 export const defaultStartState = Object.freeze({
   lat: 37.7148,
   lon: -122.2152,
@@ -6,6 +8,7 @@ export const defaultStartState = Object.freeze({
   groundspeedKt: 160,
   vsFpm: 0,
   phase: 'resumeOwnNavigation',
+  aircraftType: DEFAULT_AIRCRAFT_TYPE,
 });
 
 
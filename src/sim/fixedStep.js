@@ -0,0 +1,107 @@
+/**
+ * Fixed-timestep helpers shared by the browser loop and headless runs.
+ * Anything with a step(dtSeconds) method can be driven here.
+ */
+
+import { SIM_TICK_SECONDS } from './flightModel.js';
+
+// Longest wall-clock frame we try to catch up on (e.g. after a stalled tab)
+const MAX_FRAME_SECONDS = 0.25;
+
+// Sim-rate bounds (multiples of real time) and the presets offered in the UI
+export const SIM_RATE_MIN = 0.25;
+export const SIM_RATE_MAX = 16;
+export const SIM_RATE_PRESETS = Object.freeze([0.25, 0.5, 1, 2, 4, 8, 16]);
+
+export function clampSimRate(rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return 1;
+  return Math.max(SIM_RATE_MIN, Math.min(SIM_RATE_MAX, value));
+}
+
+/**
+ * Accumulates variable frame times and releases them as fixed ticks
+ * The sim rate scales wall-clock time into sim time; the tick length never
+ * changes, so 16x simply runs sixteen times as many ticks per frame.
+ * @param {Object} options
+ * @param {number} options.tickSeconds - Fixed tick length
+ * @param {number} options.maxFrameSeconds - Frame time cap before ticks are dropped
+ * @param {number} options.timeScale - Initial sim rate (1 = real time)
+ */
+export function createFixedStepClock({
+  tickSeconds = SIM_TICK_SECONDS,
+  maxFrameSeconds = MAX_FRAME_SECONDS,
+  timeScale = 1,
+} = {}) {
+  let accumulator = 0;
+  let rate = clampSimRate(timeScale);
+
+  return {
+    tickSeconds,
+
+    get timeScale() {
+      return rate;
+    },
+
+    setTimeScale(nextRate) {
+      rate = clampSimRate(nextRate);
+      return rate;
+    },
+
+    /**
+     * Adds wall-clock frame time and runs stepFn once per whole sim tick available
+     * @returns {number} Number of ticks executed
+     */
+    advance(frameSeconds, stepFn) {
+      if (!(frameSeconds > 0)) return 0;
+      accumulator += Math.min(frameSeconds, maxFrameSeconds) * rate;
+      let steps = 0;
+      // Small epsilon keeps float error from swallowing a tick
+      while (accumulator + 1e-9 >= tickSeconds) {
+        stepFn(tickSeconds);
+        accumulator -= tickSeconds;
+        steps += 1;
+      }
+      return steps;
+    },
+
+    reset() {
+      accumulator = 0;
+    },
+  };
+}
+
+/**
+ * Runs steppers in lockstep for a simulated duration, as fast as possible
+ * @param {Object} options
+ * @param {number} options.durationSeconds - Simulated time to cover
+ * @param {Array<{step: Function}>} options.steppers - Models advanced every tick, in order
+ * @param {number} options.tickSeconds - Fixed tick length
+ * @param {Function} options.onTick - Called after each tick with (elapsedSeconds, tickIndex)
+ * @param {Function} options.shouldStop - Return true to end the run early
+ * @returns {{elapsedSeconds: number, steps: number}}
+ */
+export function runHeadless({
+  durationSeconds,
+  steppers = [],
+  tickSeconds = SIM_TICK_SECONDS,
+  onTick,
+  shouldStop,
+}) {
+  const totalSteps = Math.max(0, Math.round(durationSeconds / tickSeconds));
+  let steps = 0;
+  let elapsedSeconds = 0;
+
+  while (steps < totalSteps) {
+    for (const stepper of steppers) {
+      stepper.step(tickSeconds);
+    }
+    steps += 1;
+    // Multiply instead of summing so long runs don't accumulate float error
+    elapsedSeconds = steps * tickSeconds;
+    onTick?.(elapsedSeconds, steps);
+    if (shouldStop?.(elapsedSeconds)) break;
+  }
+
+  return { elapsedSeconds, steps };
+}
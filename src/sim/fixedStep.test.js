@@ -0,0 +1,56 @@
+/**
+ * Headless runs: the README's example, checked with node --test (npm test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlightModel, SIM_TICK_SECONDS } from './flightModel.js';
+import { runHeadless } from './fixedStep.js';
+import { getAircraftProfile } from './aircraftProfiles.js';
+
+const FT_PER_M = 3.28084;
+
+function flyTurnAndClimb() {
+  const model = createFlightModel({
+    initialHeadingDeg: 300,
+    initialSpeedKt: 160,
+    profile: getAircraftProfile('C172'),
+  });
+  model.setHeading(270);
+  model.setAltitude(2000);
+  const run = runHeadless({ durationSeconds: 600, steppers: [model] });
+  return { run, state: model.getState() };
+}
+
+test('runHeadless steps the flight model one fixed tick at a time', () => {
+  const { run, state } = flyTurnAndClimb();
+  assert.equal(run.steps, Math.round(600 / SIM_TICK_SECONDS));
+  assert.equal(run.elapsedSeconds, run.steps * SIM_TICK_SECONDS);
+  assert.ok(Math.abs(state.simTimeSeconds - 600) < 1e-6);
+});
+
+test('the model reaches its heading and altitude targets', () => {
+  const { state } = flyTurnAndClimb();
+  assert.ok(Math.abs(state.headingDeg - 270) < 1, `heading ${state.headingDeg}`);
+  assert.ok(Math.abs(state.z * FT_PER_M - 2000) < 50, `altitude ${state.z * FT_PER_M} ft`);
+});
+
+test('identical runs end in identical states', () => {
+  assert.deepEqual(flyTurnAndClimb().state, flyTurnAndClimb().state);
+});
+
+test('shouldStop ends the run early', () => {
+  // Airborne: on the ground away from a runway the model stops at its excursion crash
+  const model = createFlightModel({
+    initialHeadingDeg: 300,
+    initialSpeedKt: 160,
+    initialAltitudeMeters: 600,
+  });
+  const run = runHeadless({
+    durationSeconds: 600,
+    steppers: [model],
+    shouldStop: (elapsedSeconds) => elapsedSeconds >= 10,
+  });
+  assert.ok(Math.abs(run.elapsedSeconds - 10) < 1e-9);
+  assert.ok(Math.abs(model.getState().simTimeSeconds - 10) < 1e-6);
+});
@@ -0,0 +1,1298 @@
+/**
+ * Headless point-mass flight model
+ * Advances only through step(dtSeconds), so the browser loop and Node scripts
+ * can drive it at the same fixed tick and get identical results.
+ * All calculations are in local coordinates (meters relative to origin)
+ *
+ * Speeds: speedMps is indicated airspeed (what setSpeed targets). The aircraft
+ * moves through the air at true airspeed and over the ground at TAS + wind.
+ */
+
+import { createWindModel } from './windModel.js';
+import { getAircraftProfile } from './aircraftProfiles.js';
+import { createLateralModeManager, turnError } from './lateralModes.js';
+import { createIlsGeometry } from './ils.js';
+import { createHoldingPattern } from './holding.js';
+import { createVerticalModeManager } from './verticalModes.js';
+import { assessTerrain, groundElevationMeters } from './taws.js';
+import {
+  ON_GROUND_PHASES,
+  createRunwaySurface,
+  isInFlareWindow,
+  flareVerticalSpeedFpm,
+  scoreTouchdown,
+} from './groundPhases.js';
+
+// Fixed simulation tick (seconds). 50 Hz keeps the dynamics smooth at 60 FPS.
+export const SIM_TICK_SECONDS = 0.02;
+
+// Conversion constants
+const DEG_TO_RAD = Math.PI / 180;
+const KT_TO_MPS = 0.514444; // knots to meters per second
+const FT_TO_M = 0.3048; // feet to meters (1 ft = 0.3048 m)
+const FPM_TO_MPS = 1 / 196.85; // feet per minute to meters per second
+const M_TO_FT = 3.28084; // meters to feet
+const TAS_GAIN_PER_FT = 0.02 / 1000; // TAS ≈ IAS + 2% per 1000 ft (rule of thumb)
+
+// Helper functions
+const toRadians = (deg) => deg * DEG_TO_RAD;
+const toDegrees = (rad) => rad / DEG_TO_RAD;
+const normalizeHeading = (heading) => {
+  heading = heading % 360;
+  return heading < 0 ? heading + 360 : heading;
+};
+const trueAirspeedFactor = (altitudeFt) =>
+  1 + TAS_GAIN_PER_FT * Math.max(0, altitudeFt);
+
+export function createFlightModel({
+  initialHeadingDeg = 0,
+  initialAltitudeMeters = 0,
+  originAltitudeMeters = 0, // Absolute altitude of origin (for converting absolute targets to relative)
+  initialSpeedKt = 140, // Initial speed in knots
+  initialVerticalSpeedFpm = 0,
+  profile = getAircraftProfile(), // Performance profile from aircraftProfiles.js
+  terrain = null, // (x, y) => terrain meters MSL | null (see terrain.js); null = sea level
+} = {}) {
+  // Performance limits come from the aircraft profile (see setProfile)
+  let aircraftProfile = profile;
+  let minSpeedMps; // Minimum speed (meters per second)
+  let maxSpeedMps; // Maximum speed (meters per second)
+  let speedAccelMps2; // Speed acceleration (m/s²)
+  let maxTurnRateDegps; // Maximum turn rate (degrees per second)
+  let maxBankAngleDeg; // Bank angle limit for coordinated turns (degrees)
+  let maxClimbRateMps; // Maximum climb rate (m/s)
+  let maxDescentRateMps; // Maximum descent rate (m/s)
+  let maxPitchAngleDeg; // Maximum pitch angle (degrees, ±)
+
+  function applyProfileLimits() {
+    minSpeedMps = aircraftProfile.minSpeedKt * KT_TO_MPS;
+    maxSpeedMps = aircraftProfile.maxSpeedKt * KT_TO_MPS;
+    speedAccelMps2 = aircraftProfile.speedAccelKtps * KT_TO_MPS;
+    maxTurnRateDegps = aircraftProfile.maxTurnRateDegps;
+    maxBankAngleDeg = aircraftProfile.maxBankDeg;
+    maxClimbRateMps = aircraftProfile.maxClimbFpm * FPM_TO_MPS;
+    maxDescentRateMps = aircraftProfile.maxDescentFpm * FPM_TO_MPS;
+    maxPitchAngleDeg = aircraftProfile.maxPitchDeg;
+  }
+
+  applyProfileLimits();
+
+  const bankAngleSmoothingRate = 15; // Bank angle change rate (degrees per second)
+  const pitchAngleSmoothingRate = 3; // Pitch angle change rate (degrees per second)
+  const g = 9.81; // Gravitational acceleration (m/s²)
+
+  const MIN_INIT_SPEED_KT = 40;
+  const MAX_INIT_SPEED_KT = 400;
+  const clampSpeedKt = (value) =>
+    Math.max(MIN_INIT_SPEED_KT, Math.min(MAX_INIT_SPEED_KT, value ?? MIN_INIT_SPEED_KT));
+
+  // Tolerance constants
+  const SPEED_TOLERANCE_MPS = 0.5; // 0.5 m/s tolerance for speed
+  const HEADING_TOLERANCE_DEG = 1; // 1 degree tolerance for heading
+  const ALTITUDE_TOLERANCE_M = 10; // 10 meters tolerance for altitude
+
+  // Glideslope capture window (degrees from the path) and path-tracking gain
+  const GS_CAPTURE_BELOW_DEG = 0.1; // Intercept from below: capture just before the path
+  const GS_CAPTURE_ABOVE_DEG = 0.7; // Above full scale stays armed until the aircraft descends
+  const GLIDEPATH_GAIN = 0.15; // m/s of vertical speed per meter off the path
+
+  // Terrain look-ahead runs on sim time, a few times a second (see taws.js)
+  const TAWS_INTERVAL_SECONDS = 0.25;
+  const TAWS_CLIMB_OUT_INHIBIT_FT = 400; // No alerts climbing out (takeoff, go-around) below this height
+
+  // Takeoff and landing (see groundPhases.js)
+  const TAKEOFF_ACCEL_FACTOR = 2; // Takeoff power vs. the profile's airborne speedAccelKtps
+  const ROTATION_PITCH_DEG = 10; // Capped by the profile's maxPitchDeg
+  const LIFTOFF_HEIGHT_FT = 35; // Airborne automation takes over at this height
+  const INITIAL_CLIMB_HEIGHT_FT = 1500; // Climb after takeoff when ATC gave no altitude
+  const INITIAL_CLIMB_SPEED_MARGIN_KT = 15; // Above Vr (or minimum speed) when ATC gave none
+  const TOUCHDOWN_PHASE_SECONDS = 2; // Nose comes down before the brakes go on
+  const ROLLOUT_DECEL_KTPS = 4; // Braking on the rollout
+
+  // Go-around: TOGA pitch and power until the climb is established
+  const GO_AROUND_PITCH_DEG = 10; // Capped by the profile's maxPitchDeg
+  const GO_AROUND_TOGA_HEIGHT_FT = 400; // Above the runway, where the missed approach turn starts
+  const GO_AROUND_MIN_CLIMB_FT = 100; // A go-around from higher up still climbs this much in TOGA
+
+  const initialState = {
+    headingDeg: normalizeHeading(initialHeadingDeg),
+    altitudeMeters:
+      Number.isFinite(initialAltitudeMeters) ? initialAltitudeMeters : 0,
+    speedKt: clampSpeedKt(initialSpeedKt),
+    verticalSpeedFpm: Number.isFinite(initialVerticalSpeedFpm)
+      ? initialVerticalSpeedFpm
+      : 0,
+    onRunway: false, // Lined up at rest on a runway (see setInitialState)
+  };
+
+  // Local coordinates (meters): x=east, y=north, z=up
+  let x = 0; // east (meters)
+  let y = 0; // north (meters)
+  let z = initialState.altitudeMeters; // altitude (meters)
+  let headingDeg = initialState.headingDeg;
+  let speedMps = initialState.speedKt * KT_TO_MPS; // Current speed (meters per second) - initialize from scenario
+  let bankAngleDeg = 0; // Current bank angle (degrees, positive = right wing down)
+  let pitchAngleDeg = 0; // Current pitch angle (degrees, positive = nose up)
+
+  // Runway phases (see groundPhases.js); null = flying
+  let groundPhase = null;
+  let groundRunway = null; // Runway surface under the wheels (or being rotated off)
+  let touchdown = null; // Score of the last touchdown
+  let approachRunway = null; // Runway surfaces the aircraft can roll on
+  let departureRunway = null;
+  let approachOutcome = null; // 'landed' | 'wentAround' for the last approach flown
+
+  // Go-around (see goAround); TOGA until the climb passes goAroundTopMeters
+  let goAroundTopMeters = null;
+  let goAroundHeadingDeg = null; // Runway heading flown in TOGA
+  let missedApproachGuidance = null; // Published route, engaged when TOGA ends
+
+  // Simulated time since the last reset (seconds)
+  let simTimeSeconds = 0;
+
+  // Wind and the resulting air/ground velocities (refreshed every step)
+  let windModel = createWindModel();
+  let wind = windModel.getWind(0, 0);
+  let trueAirspeedMps = 0;
+  let groundEastMps = 0;
+  let groundNorthMps = 0;
+
+  function applyInitialStateToDynamics() {
+    // Normalize and clamp initial values
+    initialState.headingDeg = normalizeHeading(initialState.headingDeg ?? 0);
+    initialState.altitudeMeters = Number.isFinite(initialState.altitudeMeters)
+      ? initialState.altitudeMeters
+      : 0;
+    initialState.speedKt = clampSpeedKt(initialState.speedKt);
+    if (!Number.isFinite(initialState.verticalSpeedFpm)) {
+      initialState.verticalSpeedFpm = 0;
+    }
+
+    const desiredSpeedMps = Math.max(
+      minSpeedMps,
+      Math.min(maxSpeedMps, initialState.speedKt * KT_TO_MPS)
+    );
+
+    const desiredVerticalSpeedMps =
+      initialState.verticalSpeedFpm * FPM_TO_MPS;
+    const maxVsFromPitch =
+      desiredSpeedMps * Math.sin((maxPitchAngleDeg * Math.PI) / 180);
+    const limitedVerticalSpeedMps = Math.max(
+      -maxDescentRateMps,
+      Math.min(
+        maxClimbRateMps,
+        Math.max(-maxVsFromPitch, Math.min(maxVsFromPitch, desiredVerticalSpeedMps))
+      )
+    );
+
+    // Update stored values to reflect final clamps
+    initialState.speedKt = desiredSpeedMps / KT_TO_MPS;
+    initialState.verticalSpeedFpm = limitedVerticalSpeedMps / FPM_TO_MPS;
+
+    x = 0;
+    y = 0;
+    z = initialState.altitudeMeters;
+    headingDeg = initialState.headingDeg;
+    speedMps = desiredSpeedMps;
+    bankAngleDeg = 0;
+    simTimeSeconds = 0;
+    groundPhase = null;
+    groundRunway = null;
+    touchdown = null;
+    approachOutcome = null;
+    goAroundTopMeters = null;
+    goAroundHeadingDeg = null;
+    missedApproachGuidance = null;
+
+    if (initialState.onRunway) {
+      // At rest on the runway until the takeoff roll starts
+      speedMps = 0;
+      initialState.verticalSpeedFpm = 0;
+      pitchAngleDeg = 0;
+      groundPhase = 'linedUp';
+      return;
+    }
+
+    const ratio =
+      desiredSpeedMps <= 0
+        ? 0
+        : Math.max(-1, Math.min(1, limitedVerticalSpeedMps / desiredSpeedMps));
+    const computedPitch = toDegrees(Math.asin(ratio));
+    pitchAngleDeg = Math.max(
+      -maxPitchAngleDeg,
+      Math.min(maxPitchAngleDeg, computedPitch)
+    );
+  }
+
+  applyInitialStateToDynamics();
+
+  // Control inputs (set by keyboard)
+  let speedInput = 0; // -1 to 1 (back to forward)
+  let turnInput = 0; // -1 to 1 (left to right)
+  let pitchInput = 0; // -1 to 1 (descend to climb)
+
+  // Target values for automation (null = no target)
+  let targetSpeedKt = null; // Target speed in knots
+  const lateral = createLateralModeManager(); // HDG/TRK/NAV/LOC heading commands
+  let navGuidance = null; // NAV guidance set by the caller (direct-to, route)
+  let hold = null; // Holding pattern flown in NAV; replaces navGuidance until exited
+  let ils = null; // ILS geometry for the approach runway (see setApproach)
+  let glideslopeMode = null; // 'armed' | 'captured' | null
+  const vertical = createVerticalModeManager(); // ALT/VS/FLCH/VNAV vertical speed commands
+  let verticalSpeedLimitFpm = null; // Vertical speed limit in feet per minute (constrains climb/descent rate)
+  let resolutionBand = null; // TCAS RA flown by the autopilot: { minFpm, maxFpm } (null = open side)
+
+  let terrainElevationAt = terrain; // Local terrain lookup; null = sea level everywhere
+  let terrainStatus = { elevationFt: null, aglFt: null, alert: null, secondsToConflict: null };
+  let lastTawsTimeSeconds = null;
+  let climbOutInhibitTopMeters = null; // TAWS stays quiet on the initial climb below this
+  let crash = null; // Ground contact off a runway or rolling off one; stops stepping until reset
+
+  // Make originAltitudeMeters updatable for scenario changes
+  let currentOriginAltitudeMeters = originAltitudeMeters;
+
+  // Track position history for breadcrumb trail
+  const maxTrailDistanceM = 5000; // Keep last 5000 meters
+  let positionHistory = []; // Array of {x, y, z, cumulativeDistance}
+  let lastHistoryTimeSeconds = null;
+  const historyIntervalSeconds = 0.05; // Sample trail every 50ms of sim time (20 times per second)
+  let cumulativeDistance = 0; // Total distance traveled along path
+  let historySnapshot = positionHistory; // Copy handed out to callers, refreshed only on change
+
+  function recordHistory() {
+    // Calculate distance from last position
+    if (positionHistory.length > 0) {
+      const lastPoint = positionHistory[positionHistory.length - 1];
+      const dx = x - lastPoint.x;
+      const dy = y - lastPoint.y;
+      const segmentDistance = Math.sqrt(dx * dx + dy * dy);
+      cumulativeDistance += segmentDistance;
+    }
+
+    // Add current position to history
+    positionHistory.push({
+      x,
+      y,
+      z,
+      cumulativeDistance,
+      timestamp: simTimeSeconds * 1000,
+    });
+
+    // Remove points beyond maxTrailDistanceM (based on path distance)
+    // More efficient: find cutoff index instead of repeated shift() operations
+    if (positionHistory.length > 1) {
+      const newestDistance = cumulativeDistance;
+      let cutoffIndex = 0;
+
+      // Find first point that should be kept
+      for (let i = 0; i < positionHistory.length - 1; i++) {
+        const trailLength = newestDistance - positionHistory[i].cumulativeDistance;
+        if (trailLength <= maxTrailDistanceM) {
+          cutoffIndex = i;
+          break;
+        }
+      }
+
+      // Remove old points in one operation
+      if (cutoffIndex > 0) {
+        positionHistory = positionHistory.slice(cutoffIndex);
+      }
+    }
+
+    lastHistoryTimeSeconds = simTimeSeconds;
+    historySnapshot = null;
+  }
+
+  function absoluteAltitudeFt() {
+    return (currentOriginAltitudeMeters + z) * M_TO_FT;
+  }
+
+  const isOnGround = () => ON_GROUND_PHASES.includes(groundPhase);
+
+  function updateAirData() {
+    const altitudeFt = absoluteAltitudeFt();
+    wind = windModel.getWind(altitudeFt, simTimeSeconds);
+    trueAirspeedMps = speedMps * trueAirspeedFactor(altitudeFt);
+    const headingRad = toRadians(headingDeg);
+    if (isOnGround()) {
+      // Rolling on the wheels: the runway, not the air mass, sets the track
+      groundEastMps = Math.sin(headingRad) * speedMps;
+      groundNorthMps = Math.cos(headingRad) * speedMps;
+      return;
+    }
+    const horizontalMps = trueAirspeedMps * Math.cos(toRadians(pitchAngleDeg));
+    groundEastMps = Math.sin(headingRad) * horizontalMps + wind.eastMps;
+    groundNorthMps = Math.cos(headingRad) * horizontalMps + wind.northMps;
+  }
+
+  // Pitch that gives a vertical speed, within climb/descent, VS-limit and pitch limits
+  function pitchForVerticalSpeed(desiredVerticalSpeedMps, tasMps) {
+    let verticalSpeedMps = Math.max(-maxDescentRateMps, Math.min(maxClimbRateMps, desiredVerticalSpeedMps));
+
+    // Apply vertical speed limit if set
+    if (verticalSpeedLimitFpm !== null) {
+      const limitMps = verticalSpeedLimitFpm * FPM_TO_MPS;
+      verticalSpeedMps = Math.max(-limitMps, Math.min(limitMps, verticalSpeedMps));
+    }
+
+    // Convert vertical speed to pitch angle using maxPitchAngleDeg
+    // pitch = asin(vertical_speed / speed)
+    if (tasMps <= 10) return null;
+    const requiredPitchRad = Math.asin(Math.max(-1, Math.min(1, verticalSpeedMps / tasMps)));
+    const requiredPitchDeg = toDegrees(requiredPitchRad);
+    // Clamp to maxPitchAngleDeg parameter
+    return Math.max(-maxPitchAngleDeg, Math.min(maxPitchAngleDeg, requiredPitchDeg));
+  }
+
+  // Glideslope: captures once LOC is flying, then returns the vertical speed that holds the path
+  function glidepathVerticalSpeed() {
+    if (!ils || !glideslopeMode) return null;
+    const altitudeMeters = currentOriginAltitudeMeters + z;
+    const deviation = ils.getDeviations(x, y, altitudeMeters);
+
+    if (glideslopeMode === 'armed') {
+      if (
+        lateral.mode === 'LOC' &&
+        deviation.alongTrackM < 0 &&
+        deviation.gsDeviationDeg >= -GS_CAPTURE_BELOW_DEG &&
+        deviation.gsDeviationDeg <= GS_CAPTURE_ABOVE_DEG
+      ) {
+        glideslopeMode = 'captured';
+      } else {
+        return null;
+      }
+    } else if (lateral.mode !== 'LOC') {
+      // Lateral mode changed (new vector): leave the path and hold altitude
+      glideslopeMode = null;
+      if (!vertical.mode) {
+        vertical.setAltitude(altitudeMeters * M_TO_FT, altitudeMeters * M_TO_FT);
+      }
+      return null;
+    }
+
+    const pathErrorM = ils.pathAltitudeMeters(deviation.alongTrackM) - altitudeMeters;
+    // Nominal descent for the groundspeed until the path meets the runway
+    const onSlopeDescentMps =
+      deviation.alongTrackM < ils.glidepathOriginAlongM
+        ? Math.hypot(groundEastMps, groundNorthMps) * Math.tan(ils.glideslopeRad)
+        : 0;
+    return -onSlopeDescentMps + pathErrorM * GLIDEPATH_GAIN;
+  }
+
+  function armLocalizer() {
+    // Hold the present heading until capture if nothing else is flying
+    if (!lateral.mode) lateral.setHeading(headingDeg);
+    return lateral.armLocalizer();
+  }
+
+  function currentTrackDeg() {
+    return normalizeHeading(toDegrees(Math.atan2(groundEastMps, groundNorthMps)));
+  }
+
+  // Drops the hold and hands NAV back the caller's guidance (not re-engaged)
+  function exitHold() {
+    if (!hold) return false;
+    hold = null;
+    lateral.setNavGuidance(navGuidance);
+    return true;
+  }
+
+  // Known runway surface under a point, or null
+  function runwaySurfaceAt(px, py) {
+    if (approachRunway?.contains(px, py)) return approachRunway;
+    if (departureRunway?.contains(px, py)) return departureRunway;
+    return null;
+  }
+
+  // Flare over a runway: the sink rate eases off with height, overriding the
+  // glidepath or altitude target; null when not flaring
+  function flareVerticalSpeed(tasMps) {
+    const altitudeMeters = currentOriginAltitudeMeters + z;
+    const surface = [approachRunway, departureRunway].find(
+      (runway) =>
+        runway &&
+        isInFlareWindow(runway, {
+          x,
+          y,
+          altitudeMeters,
+          headingOffsetDeg: turnError(runway.courseDeg, headingDeg),
+          verticalSpeedFpm: (tasMps * Math.sin(toRadians(pitchAngleDeg))) / FPM_TO_MPS,
+        })
+    );
+    if (!surface) {
+      if (groundPhase === 'flare') groundPhase = null;
+      return null;
+    }
+    groundPhase = 'flare';
+    const heightFt = (altitudeMeters - surface.elevationMeters) * M_TO_FT;
+    return flareVerticalSpeedFpm(heightFt) * FPM_TO_MPS;
+  }
+
+  // Main wheels on the runway: score the landing and hand over to the rollout
+  function touchDown(surface, verticalSpeedMps) {
+    touchdown = scoreTouchdown(surface, {
+      x,
+      y,
+      verticalSpeedFpm: verticalSpeedMps / FPM_TO_MPS,
+      groundspeedKt: Math.hypot(groundEastMps, groundNorthMps) / KT_TO_MPS,
+      headingDeg,
+      simTimeSeconds,
+    });
+    groundPhase = 'touchdown';
+    groundRunway = surface;
+    approachOutcome = 'landed';
+    // The landing ends the approach and the airborne automation
+    exitHold();
+    lateral.clear();
+    glideslopeMode = null;
+    vertical.clear();
+    targetSpeedKt = null;
+    speedInput = 0;
+    turnInput = 0;
+    pitchInput = 0;
+    bankAngleDeg = 0;
+  }
+
+  // Climb-out defaults when ATC gave none: 1,500 ft above the runway, a little above Vr
+  function climbOutAltitudeFt(runwayElevationMeters) {
+    return Math.round((runwayElevationMeters * M_TO_FT + INITIAL_CLIMB_HEIGHT_FT) / 100) * 100;
+  }
+
+  function climbOutSpeedKt() {
+    const climbSpeedKt =
+      Math.max(aircraftProfile.rotateSpeedKt, aircraftProfile.minSpeedKt) +
+      INITIAL_CLIMB_SPEED_MARGIN_KT;
+    return Math.min(aircraftProfile.maxSpeedKt, climbSpeedKt);
+  }
+
+  // Airborne: runway heading and an initial climb unless ATC already gave them
+  function liftOff(runwayElevationMeters) {
+    groundPhase = null;
+    groundRunway = null;
+    climbOutInhibitTopMeters = runwayElevationMeters + TAWS_CLIMB_OUT_INHIBIT_FT * FT_TO_M;
+    if (!lateral.mode) lateral.setHeading(headingDeg);
+    if (!vertical.mode) {
+      vertical.setAltitude(climbOutAltitudeFt(runwayElevationMeters), absoluteAltitudeFt());
+    }
+    if (targetSpeedKt === null) targetSpeedKt = climbOutSpeedKt();
+  }
+
+  // Climb established after a go-around: the vertical mode takes it to the missed
+  // approach altitude, and a published route takes over from runway heading unless
+  // ATC has assigned something else since
+  function endGoAroundToga() {
+    goAroundTopMeters = null;
+    const status = lateral.getStatus();
+    if (
+      missedApproachGuidance &&
+      status.mode === 'HDG' &&
+      status.selectedHeadingDeg === goAroundHeadingDeg
+    ) {
+      navGuidance = missedApproachGuidance;
+      lateral.setNavGuidance(navGuidance);
+      lateral.engageNav();
+    }
+    missedApproachGuidance = null;
+  }
+
+  function updateTerrainStatus(verticalSpeedMps, overRunway) {
+    const altitudeMeters = currentOriginAltitudeMeters + z;
+    if (climbOutInhibitTopMeters !== null && altitudeMeters >= climbOutInhibitTopMeters) {
+      climbOutInhibitTopMeters = null;
+    }
+    terrainStatus = assessTerrain(
+      {
+        x,
+        y,
+        altitudeFt: absoluteAltitudeFt(),
+        groundEastMps,
+        groundNorthMps,
+        verticalSpeedFpm: verticalSpeedMps / FPM_TO_MPS,
+      },
+      (px, py) => groundElevationMeters(terrainElevationAt, px, py),
+      {
+        inhibitAlerts:
+          overRunway ||
+          groundPhase !== null ||
+          glideslopeMode === 'captured' ||
+          climbOutInhibitTopMeters !== null,
+      }
+    );
+    lastTawsTimeSeconds = simTimeSeconds;
+  }
+
+  // TAWS and the trail, after the position update
+  function updateTerrainAndHistory(verticalSpeedMps, overRunway) {
+    if (
+      crash ||
+      lastTawsTimeSeconds === null ||
+      simTimeSeconds - lastTawsTimeSeconds >= TAWS_INTERVAL_SECONDS
+    ) {
+      updateTerrainStatus(verticalSpeedMps, overRunway);
+    }
+
+    // Update position history for trail
+    if (
+      lastHistoryTimeSeconds === null ||
+      simTimeSeconds - lastHistoryTimeSeconds >= historyIntervalSeconds
+    ) {
+      recordHistory();
+    }
+  }
+
+  // Wheels on the runway: lined up, takeoff roll, touchdown, rollout, stopped.
+  // The airborne automation waits; the aircraft tracks down the runway.
+  function stepOnGround(deltaTime) {
+    if (groundPhase === 'takeoffRoll') {
+      speedMps += speedAccelMps2 * TAKEOFF_ACCEL_FACTOR * deltaTime;
+      if (speedMps >= aircraftProfile.rotateSpeedKt * KT_TO_MPS) groundPhase = 'rotation';
+    } else if (groundPhase === 'touchdown') {
+      speedMps = Math.max(0, speedMps - speedAccelMps2 * deltaTime);
+      pitchAngleDeg = Math.max(0, pitchAngleDeg - pitchAngleSmoothingRate * deltaTime);
+      if (simTimeSeconds - touchdown.simTimeSeconds >= TOUCHDOWN_PHASE_SECONDS) {
+        groundPhase = 'rollout';
+      }
+    } else if (groundPhase === 'rollout') {
+      speedMps = Math.max(0, speedMps - ROLLOUT_DECEL_KTPS * KT_TO_MPS * deltaTime);
+      pitchAngleDeg = 0;
+      if (speedMps === 0) groundPhase = 'stopped';
+    } else if (speedInput > 0) {
+      // Lined up or stopped: throttle up starts the takeoff roll
+      groundPhase = 'takeoffRoll';
+    }
+
+    // Nosewheel steering lines the aircraft up with the runway
+    groundRunway = runwaySurfaceAt(x, y) ?? groundRunway;
+    if (groundRunway) {
+      const headingDiff = turnError(groundRunway.courseDeg, headingDeg);
+      const maxTurn = maxTurnRateDegps * deltaTime;
+      headingDeg = normalizeHeading(
+        headingDeg + Math.max(-maxTurn, Math.min(maxTurn, headingDiff))
+      );
+    }
+    bankAngleDeg = 0;
+
+    updateAirData();
+    x += groundEastMps * deltaTime;
+    y -= groundNorthMps * deltaTime;
+    simTimeSeconds += deltaTime;
+
+    const surface = runwaySurfaceAt(x, y);
+    const groundMeters = surface
+      ? surface.elevationMeters
+      : groundElevationMeters(terrainElevationAt, x, y);
+    z = groundMeters - currentOriginAltitudeMeters;
+    if (!surface && speedMps > 0) {
+      crash = {
+        type: 'RUNWAY_EXCURSION',
+        simTimeSeconds,
+        x,
+        y,
+        altitudeFt: absoluteAltitudeFt(),
+        terrainElevationFt: groundMeters * M_TO_FT,
+        verticalSpeedFpm: 0,
+        groundspeedKt: speedMps / KT_TO_MPS,
+      };
+    }
+    updateTerrainAndHistory(0, true);
+  }
+
+  function step(deltaTime) {
+    if (!(deltaTime > 0) || crash) return;
+    if (isOnGround()) {
+      stepOnGround(deltaTime);
+      return;
+    }
+    const rotating = groundPhase === 'rotation';
+    const toga = goAroundTopMeters !== null;
+    // Takeoff/go-around power accelerates faster than the airborne profile rate
+    const accelMps2 = toga ? speedAccelMps2 * TAKEOFF_ACCEL_FACTOR : speedAccelMps2;
+
+    // Update speed based on input or automation target
+    let targetSpeedMps = null;
+    if (targetSpeedKt !== null && !rotating) {
+      targetSpeedMps = targetSpeedKt * KT_TO_MPS;
+      const speedDiff = targetSpeedMps - speedMps;
+
+      if (Math.abs(speedDiff) > SPEED_TOLERANCE_MPS) {
+        // Calculate required speed input to reach target
+        const maxSpeedChange = accelMps2 * deltaTime;
+        speedInput = Math.max(-1, Math.min(1, speedDiff / maxSpeedChange));
+      } else {
+        // Close enough, snap to target and maintain
+        speedInput = 0;
+        speedMps = targetSpeedMps;
+      }
+    }
+
+    if (rotating) {
+      // Takeoff power until airborne; rotation may start below the airborne
+      // minimum speed (a helicopter lifts off from rest)
+      speedMps = Math.min(
+        maxSpeedMps,
+        speedMps + speedAccelMps2 * TAKEOFF_ACCEL_FACTOR * deltaTime
+      );
+    } else {
+      const speedChange = speedInput * accelMps2 * deltaTime;
+      speedMps = Math.max(minSpeedMps, Math.min(maxSpeedMps, speedMps + speedChange));
+    }
+
+    // Calculate target bank angle from turn rate and speed
+    // Physics: turn_rate (rad/s) = (g * tan(bank_angle)) / speed
+    // So: bank_angle = atan((turn_rate * speed) / g)
+    let turnRate = rotating ? 0 : turnInput * maxTurnRateDegps;
+
+    // Automation: the lateral mode manager supplies a heading and turn direction
+    const navState = {
+      x,
+      y,
+      headingDeg,
+      trackDeg: currentTrackDeg(),
+      groundspeedMps: Math.hypot(groundEastMps, groundNorthMps),
+      maxTurnRateDegps,
+      simTimeSeconds,
+    };
+    const lateralCommand = rotating ? null : lateral.update(navState);
+    // Any other lateral mode (new heading, manual turn) ends the hold
+    if (hold && lateral.mode !== 'NAV') exitHold();
+    if (lateralCommand) {
+      const headingDiff = turnError(
+        lateralCommand.headingDeg,
+        headingDeg,
+        lateralCommand.turnDirection
+      );
+
+      if (Math.abs(headingDiff) > HEADING_TOLERANCE_DEG) {
+        // Calculate required turn rate (proportional control, P-gain of 2)
+        const desiredTurnRate = Math.max(-maxTurnRateDegps, Math.min(maxTurnRateDegps, headingDiff * 2));
+        turnInput = desiredTurnRate / maxTurnRateDegps;
+      } else {
+        // Close enough, snap to target and stop turning
+        turnInput = 0;
+        headingDeg = lateralCommand.headingDeg;
+      }
+
+      turnRate = turnInput * maxTurnRateDegps;
+    }
+
+    // Turn and climb geometry use true airspeed (movement through the air mass)
+    const tasMps = speedMps * trueAirspeedFactor(absoluteAltitudeFt());
+
+    let targetBankAngleDeg = 0;
+    if (Math.abs(turnRate) > 0.1 && tasMps > 10) {
+      // Convert turn rate to radians per second
+      const turnRateRadps = toRadians(turnRate);
+      // Calculate required bank angle for coordinated turn
+      targetBankAngleDeg = toDegrees(Math.atan((turnRateRadps * tasMps) / g));
+      // Clamp to the profile's bank limit
+      targetBankAngleDeg = Math.max(
+        -maxBankAngleDeg,
+        Math.min(maxBankAngleDeg, targetBankAngleDeg)
+      );
+    }
+
+    // Smoothly transition bank angle toward target
+    const bankAngleDiff = targetBankAngleDeg - bankAngleDeg;
+    const maxBankChange = bankAngleSmoothingRate * deltaTime;
+    bankAngleDeg += Math.abs(bankAngleDiff) > maxBankChange
+      ? Math.sign(bankAngleDiff) * maxBankChange
+      : bankAngleDiff;
+
+    // Calculate target pitch angle from pitch input or automation target
+    // Default to holding current pitch (so initial vsFpm is preserved)
+    let targetPitchAngleDeg = pitchAngleDeg;
+
+    const flareVerticalSpeedMps = rotating || toga ? null : flareVerticalSpeed(tasMps);
+    const glidepathVerticalSpeedMps =
+      rotating || flareVerticalSpeedMps !== null ? null : glidepathVerticalSpeed();
+
+    if (rotating) {
+      targetPitchAngleDeg = Math.min(ROTATION_PITCH_DEG, maxPitchAngleDeg);
+    } else if (toga) {
+      targetPitchAngleDeg = Math.min(GO_AROUND_PITCH_DEG, maxPitchAngleDeg);
+    } else if (flareVerticalSpeedMps !== null) {
+      const requiredPitchDeg = pitchForVerticalSpeed(flareVerticalSpeedMps, tasMps);
+      if (requiredPitchDeg !== null) targetPitchAngleDeg = requiredPitchDeg;
+    } else if (glidepathVerticalSpeedMps !== null) {
+      // On the glideslope: the path overrides the altitude target
+      const requiredPitchDeg = pitchForVerticalSpeed(glidepathVerticalSpeedMps, tasMps);
+      if (requiredPitchDeg !== null) {
+        targetPitchAngleDeg = requiredPitchDeg;
+        pitchInput = targetPitchAngleDeg / maxPitchAngleDeg;
+      }
+    } else if (vertical.mode) {
+      // Route constraints for VNAV while NAV is flying the route (not a hold)
+      const constraintsAhead =
+        vertical.mode === 'VNAV' && lateral.mode === 'NAV' && !hold
+          ? (navGuidance?.getConstraintsAhead?.(navState) ?? null)
+          : null;
+      const verticalCommand = vertical.update({
+        altitudeFt: absoluteAltitudeFt(),
+        groundspeedMps: navState.groundspeedMps,
+        maxClimbFpm: aircraftProfile.maxClimbFpm,
+        maxDescentFpm: aircraftProfile.maxDescentFpm,
+        constraintsAhead,
+      });
+      // Convert target altitude from feet to meters (absolute to relative)
+      const targetAltitudeMeters =
+        verticalCommand.altitudeFt * FT_TO_M - currentOriginAltitudeMeters;
+      const altitudeDiff = targetAltitudeMeters - z;
+
+      if (
+        vertical.mode !== 'ALT' ||
+        Math.abs(altitudeDiff) > ALTITUDE_TOLERANCE_M ||
+        resolutionBand
+      ) {
+        const requiredPitchDeg = pitchForVerticalSpeed(
+          verticalCommand.verticalSpeedFpm * FPM_TO_MPS,
+          tasMps
+        );
+        if (requiredPitchDeg !== null) {
+          targetPitchAngleDeg = requiredPitchDeg;
+          pitchInput = targetPitchAngleDeg / maxPitchAngleDeg;
+        }
+      } else {
+        // Close enough, snap to target and level off
+        z = targetAltitudeMeters;
+        pitchInput = 0;
+        targetPitchAngleDeg = 0;
+        pitchAngleDeg = 0;
+      }
+    } else if (Math.abs(pitchInput) > 0.1) {
+      // Calculate target pitch angle based on input
+      // Positive pitchInput = climb (nose up), negative = descend (nose down)
+      targetPitchAngleDeg = Math.max(-maxPitchAngleDeg, Math.min(maxPitchAngleDeg, pitchInput * maxPitchAngleDeg));
+    }
+
+    // A TCAS RA keeps the commanded vertical speed inside its band; the clearance
+    // (altitude target) is left alone and flown again once the RA ends
+    if (resolutionBand && !rotating && !toga && flareVerticalSpeedMps === null && !isOnGround()) {
+      const commandedFpm = (tasMps * Math.sin(toRadians(targetPitchAngleDeg))) / FPM_TO_MPS;
+      const bandedFpm = Math.max(
+        resolutionBand.minFpm ?? -Infinity,
+        Math.min(resolutionBand.maxFpm ?? Infinity, commandedFpm)
+      );
+      if (bandedFpm !== commandedFpm) {
+        const requiredPitchDeg = pitchForVerticalSpeed(bandedFpm * FPM_TO_MPS, tasMps);
+        if (requiredPitchDeg !== null) targetPitchAngleDeg = requiredPitchDeg;
+      }
+    }
+
+    // Smoothly transition pitch angle toward target
+    const pitchAngleDiff = targetPitchAngleDeg - pitchAngleDeg;
+    const maxPitchChange = pitchAngleSmoothingRate * deltaTime;
+    pitchAngleDeg += Math.abs(pitchAngleDiff) > maxPitchChange
+      ? Math.sign(pitchAngleDiff) * maxPitchChange
+      : pitchAngleDiff;
+
+    // Update heading based on turn input
+    headingDeg = normalizeHeading(headingDeg + turnRate * deltaTime);
+
+    // Update altitude based on pitch angle
+    // Vertical speed = speed * sin(pitch_angle)
+    const pitchRad = toRadians(pitchAngleDeg);
+    const sinPitch = Math.sin(pitchRad);
+    let verticalSpeedMps = tasMps * sinPitch;
+
+    // Clamp vertical speed to max rates
+    verticalSpeedMps = verticalSpeedMps > 0
+      ? Math.min(verticalSpeedMps, maxClimbRateMps)
+      : Math.max(verticalSpeedMps, -maxDescentRateMps);
+
+    // Apply vertical speed limit if set
+    if (verticalSpeedLimitFpm !== null) {
+      const limitMps = verticalSpeedLimitFpm * FPM_TO_MPS;
+      verticalSpeedMps = Math.max(-limitMps, Math.min(limitMps, verticalSpeedMps));
+    }
+
+    z += verticalSpeedMps * deltaTime;
+
+    // Move over the ground: air velocity along heading plus the wind
+    // Horizontal air component = TAS * cos(pitch)
+    updateAirData();
+    x += groundEastMps * deltaTime; // east component
+    y -= groundNorthMps * deltaTime; // north component (Mapbox y increases southward)
+
+    simTimeSeconds += deltaTime;
+
+    // Ground contact: a known runway is a surface to land on, anywhere else is CFIT
+    const surface = runwaySurfaceAt(x, y);
+    const groundMeters = surface
+      ? surface.elevationMeters
+      : groundElevationMeters(terrainElevationAt, x, y);
+    if (currentOriginAltitudeMeters + z <= groundMeters) {
+      if (surface) {
+        z = groundMeters - currentOriginAltitudeMeters;
+        pitchAngleDeg = Math.max(0, pitchAngleDeg);
+        // A go-around begun in the flare may touch the runway without landing
+        if (!rotating && !toga) touchDown(surface, verticalSpeedMps);
+      } else {
+        crash = {
+          type: 'CFIT',
+          simTimeSeconds,
+          x,
+          y,
+          altitudeFt: absoluteAltitudeFt(),
+          terrainElevationFt: groundMeters * M_TO_FT,
+          verticalSpeedFpm: verticalSpeedMps / FPM_TO_MPS,
+          groundspeedKt: Math.hypot(groundEastMps, groundNorthMps) / KT_TO_MPS,
+        };
+        z = groundMeters - currentOriginAltitudeMeters;
+      }
+    }
+
+    if (rotating) {
+      const runwayElevationMeters = groundRunway?.elevationMeters ?? groundMeters;
+      const heightFt = (currentOriginAltitudeMeters + z - runwayElevationMeters) * M_TO_FT;
+      if (heightFt >= LIFTOFF_HEIGHT_FT) liftOff(runwayElevationMeters);
+    }
+    if (toga) {
+      // ATC may have assigned an altitude below the TOGA top
+      const targetFt = vertical.targetAltitudeFt;
+      const togaTopMeters =
+        targetFt === null ? goAroundTopMeters : Math.min(goAroundTopMeters, targetFt * FT_TO_M);
+      if (currentOriginAltitudeMeters + z >= togaTopMeters) endGoAroundToga();
+    }
+
+    updateTerrainAndHistory(verticalSpeedMps, surface !== null);
+  }
+
+  updateAirData();
+
+  return {
+    step,
+
+    get simTimeSeconds() {
+      return simTimeSeconds;
+    },
+
+    reset() {
+      applyInitialStateToDynamics();
+      speedInput = 0;
+      turnInput = 0;
+      pitchInput = 0;
+      targetSpeedKt = null;
+      exitHold();
+      lateral.clear();
+      glideslopeMode = null;
+      vertical.clear();
+      verticalSpeedLimitFpm = null;
+      resolutionBand = null;
+      crash = null;
+      lastTawsTimeSeconds = null;
+      climbOutInhibitTopMeters = null;
+      terrainStatus = { elevationFt: null, aglFt: null, alert: null, secondsToConflict: null };
+      positionHistory = [];
+      historySnapshot = positionHistory;
+      lastHistoryTimeSeconds = null;
+      cumulativeDistance = 0;
+      updateAirData();
+    },
+
+    get profile() {
+      return aircraftProfile;
+    },
+
+    // Swap the performance profile; takes effect on the next reset/step
+    setProfile(nextProfile) {
+      aircraftProfile = nextProfile || getAircraftProfile();
+      applyProfileLimits();
+    },
+
+    // Wind model from windModel.js (null = calm); kept across resets
+    setWind(nextWindModel) {
+      windModel = nextWindModel || createWindModel();
+      updateAirData();
+    },
+
+    setInitialState(config = {}) {
+      if (config.headingDeg !== undefined) {
+        const value = Number(config.headingDeg);
+        if (Number.isFinite(value)) {
+          initialState.headingDeg = value;
+        }
+      }
+      if (config.speedKt !== undefined) {
+        const value = Number(config.speedKt);
+        if (Number.isFinite(value)) {
+          initialState.speedKt = value;
+        }
+      }
+      if (config.altitudeMeters !== undefined) {
+        const value = Number(config.altitudeMeters);
+        if (Number.isFinite(value)) {
+          initialState.altitudeMeters = value;
+        }
+      } else if (config.altitudeFt !== undefined) {
+        const value = Number(config.altitudeFt);
+        if (Number.isFinite(value)) {
+          initialState.altitudeMeters =
+            value * FT_TO_M - currentOriginAltitudeMeters;
+        }
+      }
+      if (config.verticalSpeedFpm !== undefined) {
+        const value = Number(config.verticalSpeedFpm);
+        if (Number.isFinite(value)) {
+          initialState.verticalSpeedFpm = value;
+        }
+      }
+      if (config.onRunway !== undefined) {
+        // Lined up at rest on the runway under the start position
+        initialState.onRunway = Boolean(config.onRunway);
+      }
+    },
+
+    setControls({ speed, turn, pitch }) {
+      // speed: -1 (slow down) to 1 (speed up)
+      // turn: -1 (left) to 1 (right)
+      // pitch: -1 (descend) to 1 (climb)
+      // Manual controls override automation
+      if (speed !== undefined) {
+        speedInput = Math.max(-1, Math.min(1, speed));
+        if (speed !== 0) targetSpeedKt = null; // Clear automation if manual control
+      }
+      if (turn !== undefined) {
+        turnInput = Math.max(-1, Math.min(1, turn));
+        if (turn !== 0) lateral.clear(); // Clear automation if manual control
+      }
+      if (pitch !== undefined) {
+        pitchInput = Math.max(-1, Math.min(1, pitch));
+        if (pitch !== 0) {
+          vertical.clear(); // Clear automation if manual control
+          glideslopeMode = null;
+          goAroundTopMeters = null;
+        }
+      }
+    },
+
+    getState() {
+      return {
+        x,
+        y,
+        z,
+        headingDeg,
+        bankAngleDeg,
+        pitchAngleDeg,
+        speedMps, // indicated airspeed
+        trueAirspeedMps,
+        groundspeedMps: Math.hypot(groundEastMps, groundNorthMps),
+        trackDeg: currentTrackDeg(),
+        wind: {
+          directionDeg: wind.directionDeg,
+          speedKt: wind.speedKt,
+        },
+        simTimeSeconds,
+      };
+    },
+
+    getPositionHistory() {
+      // Only copy positionHistory when it was actually updated to avoid unnecessary allocations
+      if (historySnapshot === null) {
+        historySnapshot = [...positionHistory];
+      }
+      return historySnapshot;
+    },
+
+    seedPositionHistory() {
+      // Add initial position to history
+      if (positionHistory.length === 0) {
+        recordHistory();
+      }
+    },
+
+    // Automation functions: set target values (wrapper functions)
+    setSpeed(targetSpeedKnots) {
+      // Input: speed in knots
+      // Clamp to what this airframe can fly
+      targetSpeedKt = Math.max(
+        aircraftProfile.minSpeedKt,
+        Math.min(aircraftProfile.maxSpeedKt, targetSpeedKnots)
+      );
+    },
+
+    setHeading(targetHeadingDegrees, turnDirection = 'shortest') {
+      // Input: heading in degrees (0-360); turnDirection 'left' | 'right' | 'shortest'
+      lateral.setHeading(targetHeadingDegrees, turnDirection);
+    },
+
+    setTrack(targetTrackDegrees, turnDirection = 'shortest') {
+      // Input: ground track in degrees; heading is corrected for wind drift
+      lateral.setTrack(targetTrackDegrees, turnDirection);
+    },
+
+    // NAV guidance: (state) => ({ trackDeg, turnDirection? }) or null when the path ends
+    setNavGuidance(guidance) {
+      navGuidance = typeof guidance === 'function' ? guidance : null;
+      if (!hold) lateral.setNavGuidance(navGuidance);
+    },
+
+    // Leaves any hold and follows the caller's NAV guidance
+    engageNav() {
+      exitHold();
+      return lateral.engageNav();
+    },
+
+    /**
+     * Enters a holding pattern, flown in NAV until exitHold or another lateral mode
+     * @param {Object} definition - { fix: {x, y} | null (present position), inboundCourseDeg,
+     *   turnDirection: 'left' | 'right', legLengthNm, legTimeSec }
+     * @returns {Object} Hold status plus `racetrack` (local points) for drawing
+     */
+    enterHold(definition = {}) {
+      const trackDeg = currentTrackDeg();
+      const fix = definition.fix
+        ? { x: Number(definition.fix.x) || 0, y: Number(definition.fix.y) || 0 }
+        : { x, y };
+      let inboundCourseDeg = Number(definition.inboundCourseDeg);
+      if (!Number.isFinite(inboundCourseDeg)) {
+        // Default: the course the aircraft flies to the fix (or is flying now)
+        const distanceM = Math.hypot(fix.x - x, fix.y - y);
+        inboundCourseDeg =
+          distanceM > 100
+            ? normalizeHeading(toDegrees(Math.atan2(fix.x - x, -(fix.y - y))))
+            : trackDeg;
+      }
+      hold = createHoldingPattern({
+        fix,
+        inboundCourseDeg,
+        turnDirection: definition.turnDirection,
+        legLengthNm: definition.legLengthNm > 0 ? definition.legLengthNm : null,
+        legTimeSec: definition.legTimeSec > 0 ? definition.legTimeSec : null,
+        altitudeFt: absoluteAltitudeFt(),
+        arrivalTrackDeg: trackDeg,
+        groundspeedMps: Math.hypot(groundEastMps, groundNorthMps),
+        turnRateDegps: maxTurnRateDegps,
+      });
+      lateral.setNavGuidance(hold.guidance);
+      lateral.engageNav();
+      return { ...hold.getStatus(), racetrack: hold.getRacetrack() };
+    },
+
+    exitHold,
+
+    // { fix, inboundCourseDeg, turnDirection, entry, phase, laps, ... } or null
+    getHoldStatus() {
+      return hold ? hold.getStatus() : null;
+    },
+
+    // Localizer course line { x, y, courseDeg } in local meters (null = none)
+    setLocalizer(definition) {
+      lateral.setLocalizer(definition);
+    },
+
+    armLocalizer,
+
+    // ILS approach in local coordinates (null = none):
+    // { x, y (threshold), courseDeg, elevationFt, glideslopeDeg, thresholdCrossingHeightFt, lengthFt,
+    //   widthFt }
+    setApproach(definition) {
+      ils = definition ? createIlsGeometry(definition) : null;
+      approachRunway = definition ? createRunwaySurface(definition) : null;
+      lateral.setLocalizer(definition);
+      glideslopeMode = null;
+    },
+
+    // Runway the aircraft departs from, in local coordinates (null = none):
+    // { x, y (threshold), courseDeg, elevationFt, lengthFt, widthFt }
+    setDepartureRunway(definition) {
+      departureRunway = definition ? createRunwaySurface(definition) : null;
+    },
+
+    // Starts the takeoff roll when lined up or stopped on a runway; false otherwise
+    beginTakeoff() {
+      if (groundPhase !== 'linedUp' && groundPhase !== 'stopped') return false;
+      groundPhase = 'takeoffRoll';
+      touchdown = null;
+      approachOutcome = null;
+      return true;
+    },
+
+    /**
+     * Go-around: TOGA pitch and power on runway heading until the climb is
+     * established, then the vertical mode climbs to the missed approach altitude.
+     * Cancels the flare, LOC/GS and any hold; ATC headings and altitudes set
+     * afterwards replace the published ones.
+     * @param {Object} [options]
+     * @param {number} [options.altitudeFt] - Missed approach altitude (default 1,500 ft
+     *   above the runway)
+     * @param {Function} [options.guidance] - NAV guidance for a published missed approach
+     *   route, engaged GO_AROUND_TOGA_HEIGHT_FT above the runway
+     * @returns {boolean} false on the runway (too late to go around)
+     */
+    goAround({ altitudeFt = null, guidance = null } = {}) {
+      if (isOnGround() || groundPhase === 'rotation') return false;
+      const runway = approachRunway ?? departureRunway;
+      const runwayElevationMeters =
+        runway?.elevationMeters ?? groundElevationMeters(terrainElevationAt, x, y);
+      const altitudeMeters = currentOriginAltitudeMeters + z;
+      const missedAltitudeFt = Number.isFinite(altitudeFt)
+        ? altitudeFt
+        : climbOutAltitudeFt(runwayElevationMeters);
+
+      groundPhase = null; // Out of the flare
+      exitHold();
+      lateral.clear();
+      glideslopeMode = null;
+      goAroundHeadingDeg = normalizeHeading(runway ? runway.courseDeg : headingDeg);
+      lateral.setHeading(goAroundHeadingDeg);
+      vertical.setAltitude(missedAltitudeFt, absoluteAltitudeFt());
+      targetSpeedKt = Math.min(
+        aircraftProfile.maxSpeedKt,
+        Math.max(climbOutSpeedKt(), Math.round(speedMps / KT_TO_MPS))
+      );
+      goAroundTopMeters = Math.min(
+        missedAltitudeFt * FT_TO_M,
+        Math.max(
+          altitudeMeters + GO_AROUND_MIN_CLIMB_FT * FT_TO_M,
+          runwayElevationMeters + GO_AROUND_TOGA_HEIGHT_FT * FT_TO_M
+        )
+      );
+      climbOutInhibitTopMeters = runwayElevationMeters + TAWS_CLIMB_OUT_INHIBIT_FT * FT_TO_M;
+      missedApproachGuidance = typeof guidance === 'function' ? guidance : null;
+      approachOutcome = 'wentAround';
+      return true;
+    },
+
+    // { phase: linedUp | takeoffRoll | rotation | flare | touchdown | rollout | stopped | null,
+    //   onGround, touchdown: score of the last landing (see groundPhases.js) | null,
+    //   goAround: TOGA in progress, outcome: 'landed' | 'wentAround' | null }
+    getGroundStatus() {
+      return {
+        phase: groundPhase,
+        onGround: isOnGround(),
+        touchdown,
+        goAround: goAroundTopMeters !== null,
+        outcome: approachOutcome,
+      };
+    },
+
+    // Arms LOC and GS; returns false without an ILS approach
+    armApproach() {
+      if (!ils || !armLocalizer()) return false;
+      if (glideslopeMode !== 'captured') glideslopeMode = 'armed';
+      return true;
+    },
+
+    // Localizer/glideslope deviations for the approach runway (null without an ILS)
+    getApproachStatus() {
+      if (!ils) return null;
+      return ils.getDeviations(x, y, currentOriginAltitudeMeters + z);
+    },
+
+    setAltitude(targetAltitudeFeet, altitudeRestriction = 'at') {
+      // Input: altitude in feet (absolute, not relative)
+      // Restriction (response schema altitudeRestriction): 'at' | 'atOrAbove' | 'atOrBelow'
+      // | 'climbVia' | 'descendVia' (VNAV with the altitude as the limit, may be null)
+      vertical.setAltitude(targetAltitudeFeet, absoluteAltitudeFt(), altitudeRestriction);
+      // A new altitude leaves a captured glideslope (an armed one stays armed)
+      if (glideslopeMode === 'captured') glideslopeMode = null;
+    },
+
+    // Block altitude: level off anywhere between the two (feet, absolute)
+    setAltitudeBlock(lowerFeet, upperFeet) {
+      vertical.setBlock(lowerFeet, upperFeet, absoluteAltitudeFt());
+      if (glideslopeMode === 'captured') glideslopeMode = null;
+    },
+
+    // Climb via / descend via the route's altitude constraints; limit in feet or null
+    setVnav(direction, limitFeet = null) {
+      vertical.setVnav(direction, limitFeet, absoluteAltitudeFt());
+      if (glideslopeMode === 'captured') glideslopeMode = null;
+    },
+
+    // ATC-assigned climb/descent rate (fpm, magnitude) to the target altitude; null = normal
+    setVerticalSpeed(rateFeetPerMinute) {
+      vertical.setVerticalSpeed(rateFeetPerMinute, absoluteAltitudeFt());
+    },
+
+    // Maximum climb/descent rate until the target is captured; false when level
+    setExpedite(enabled = true) {
+      return vertical.setExpedite(enabled);
+    },
+
+    setVerticalSpeedLimit(limitFeetPerMinute) {
+      // Input: vertical speed limit in feet per minute (absolute value, constrains both climb and descent)
+      // Clamp to reasonable limits (0 to 4000 fpm)
+      if (limitFeetPerMinute === null || limitFeetPerMinute === '') {
+        verticalSpeedLimitFpm = null;
+      } else {
+        const absLimit = limitFeetPerMinute < 0 ? -limitFeetPerMinute : limitFeetPerMinute;
+        verticalSpeedLimitFpm = absLimit > 4000 ? 4000 : (absLimit < 0 ? 0 : absLimit);
+      }
+    },
+
+    // Clear automation targets
+    clearSpeed() {
+      targetSpeedKt = null;
+    },
+
+    clearHeading() {
+      exitHold();
+      lateral.clear();
+      turnInput = 0; // Stop any turn the automation left in progress
+    },
+
+    clearAltitude() {
+      vertical.clear();
+      pitchInput = 0; // Reset pitch input to level off
+    },
+
+    clearVerticalSpeedLimit() {
+      verticalSpeedLimitFpm = null;
+    },
+
+    // TCAS RA vertical speed band { minFpm, maxFpm } (fpm, null = open); null ends the RA
+    setResolutionAdvisory(band) {
+      resolutionBand = band ? { minFpm: band.minFpm ?? null, maxFpm: band.maxFpm ?? null } : null;
+    },
+
+    // Get current targets
+    getTargets() {
+      const lateralStatus = lateral.getStatus();
+      return {
+        speedKt: targetSpeedKt,
+        headingDeg: lateralStatus.selectedHeadingDeg,
+        trackDeg: lateralStatus.selectedTrackDeg,
+        turnDirection: lateralStatus.turnDirection,
+        lateralMode: lateralStatus.mode,
+        lateralArmedMode: lateralStatus.armedMode,
+        verticalMode:
+          goAroundTopMeters !== null
+            ? 'TOGA'
+            : glideslopeMode === 'captured'
+              ? 'GS'
+              : vertical.mode,
+        verticalArmedMode: glideslopeMode === 'armed' ? 'GS' : null,
+        altitudeFt: vertical.targetAltitudeFt,
+        verticalSpeedLimitFpm: verticalSpeedLimitFpm,
+      };
+    },
+
+    // Lateral mode annunciation plus localizer deviation
+    getLateralStatus() {
+      return lateral.getStatus();
+    },
+
+    // Terrain lookup (x, y) => meters MSL | null in local coordinates; null = sea level
+    setTerrain(elevationAt) {
+      terrainElevationAt = typeof elevationAt === 'function' ? elevationAt : null;
+      lastTawsTimeSeconds = null;
+    },
+
+    // { elevationFt, aglFt, alert: 'caution' | 'warning' | null, secondsToConflict, crash }
+    // crash: { type: 'CFIT' | 'RUNWAY_EXCURSION', simTimeSeconds, x, y, altitudeFt, ... } | null
+    getTerrainStatus() {
+      return { ...terrainStatus, crash };
+    },
+
+    // Vertical mode, altitude window, selected rate, expedite and VNAV limit
+    getVerticalStatus() {
+      return vertical.getStatus();
+    },
+
+    updateOriginAltitude(newOriginAltitudeMeters) {
+      // Update the origin altitude used for absolute-to-relative conversions
+      currentOriginAltitudeMeters = newOriginAltitudeMeters;
+    },
+  };
+}
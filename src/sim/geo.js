@@ -0,0 +1,132 @@
+/**
+ * Geodesy helpers: great-circle math on a spherical earth and the local
+ * projection used by the sim.
+ * Bearings are true degrees, distances NM. The local projection matches Map.vue
+ * (Web Mercator scaled to meters at the origin, x = east, y = south), so headless
+ * runs can convert lat/lon without Mapbox.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_RADIUS_M = 6371008.8; // Same sphere as mapbox-gl's MercatorCoordinate
+const EARTH_CIRCUMFERENCE_M = 2 * Math.PI * EARTH_RADIUS_M;
+const NM_TO_M = 1852;
+
+const toRadians = (deg) => deg * DEG_TO_RAD;
+const toDegrees = (rad) => rad / DEG_TO_RAD;
+const normalizeHeading = (heading) => {
+  heading = heading % 360;
+  return heading < 0 ? heading + 360 : heading;
+};
+
+export function greatCircleDistanceNm(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dPhi = phi2 - phi1;
+  const dLambda = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dPhi / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(dLambda / 2) ** 2;
+  return (2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)))) / NM_TO_M;
+}
+
+// Initial great-circle course from point 1 to point 2
+export function greatCircleBearingDeg(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLambda = toRadians(lon2 - lon1);
+  const y = Math.sin(dLambda) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+  return normalizeHeading(toDegrees(Math.atan2(y, x)));
+}
+
+// Point reached from lat/lon along a great circle
+export function destinationPoint(lat, lon, bearingDeg, distanceNm) {
+  const delta = (distanceNm * NM_TO_M) / EARTH_RADIUS_M;
+  const theta = toRadians(bearingDeg);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) +
+      Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 =
+    lambda1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+  return { lat: toDegrees(phi2), lon: ((toDegrees(lambda2) + 540) % 360) - 180 };
+}
+
+/**
+ * Ray casting on lon/lat as a plane (fine for areas of a few NM)
+ * @param {Array<[number, number]>} polygon - [lon, lat] vertices, closed or not
+ */
+export function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [lonI, latI] = polygon[i];
+    const [lonJ, latJ] = polygon[j];
+    if (latI > lat !== latJ > lat && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function mercatorX(lon) {
+  return (180 + lon) / 360;
+}
+
+function mercatorY(lat) {
+  return (180 - toDegrees(Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2)))) / 360;
+}
+
+/**
+ * Local meters around an origin, as Map.vue computes them with MercatorCoordinate
+ * @returns {{toLocal: Function, toLatLon: Function}}
+ */
+export function createLocalProjection(originLat, originLon) {
+  const originX = mercatorX(originLon);
+  const originY = mercatorY(originLat);
+  const meterScale = 1 / EARTH_CIRCUMFERENCE_M / Math.cos(toRadians(originLat));
+
+  return {
+    toLocal(lat, lon) {
+      return {
+        x: (mercatorX(lon) - originX) / meterScale,
+        y: (mercatorY(lat) - originY) / meterScale,
+      };
+    },
+    toLatLon(x, y) {
+      const mx = originX + x * meterScale;
+      const my = originY + y * meterScale;
+      const y2 = 180 - my * 360;
+      return {
+        lat: toDegrees(2 * Math.atan(Math.exp(toRadians(y2)))) - 90,
+        lon: mx * 360 - 180,
+      };
+    },
+  };
+}
+
+/**
+ * Position relative to the great circle from start to end
+ * @returns {{crossTrackNm: number, alongTrackNm: number}} crossTrackNm > 0 = right
+ *   of course, alongTrackNm < 0 = before the start point
+ */
+export function greatCircleOffsetsNm(startLat, startLon, endLat, endLon, lat, lon) {
+  const delta13 = (greatCircleDistanceNm(startLat, startLon, lat, lon) * NM_TO_M) / EARTH_RADIUS_M;
+  const theta13 = toRadians(greatCircleBearingDeg(startLat, startLon, lat, lon));
+  const theta12 = toRadians(greatCircleBearingDeg(startLat, startLon, endLat, endLon));
+  const deltaXt = Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12));
+  const cosRatio = Math.cos(delta13) / Math.max(1e-12, Math.cos(deltaXt));
+  const deltaAt = Math.acos(Math.max(-1, Math.min(1, cosRatio)));
+  const sign = Math.cos(theta13 - theta12) < 0 ? -1 : 1;
+  return {
+    crossTrackNm: (deltaXt * EARTH_RADIUS_M) / NM_TO_M,
+    alongTrackNm: (sign * deltaAt * EARTH_RADIUS_M) / NM_TO_M,
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Runway surfaces, flare and touchdown scoring for takeoff and landing
+ * The flight model runs the ground phases (lined up, takeoff roll, rotation,
+ * flare, touchdown, rollout) against these surfaces; this module keeps the
+ * geometry, the flare law and the scoring so headless scripts can reuse them.
+ * Local coordinates as in flightModel.js (x = east m, y = south m).
+ */
+
+import { courseLineOffsets } from './lateralModes.js';
+
+export const GROUND_PHASES = Object.freeze([
+  'linedUp',
+  'takeoffRoll',
+  'rotation',
+  'flare',
+  'touchdown',
+  'rollout',
+  'stopped',
+]);
+
+// Phases with the wheels on the runway (rotation and flare are flown)
+export const ON_GROUND_PHASES = Object.freeze([
+  'linedUp',
+  'takeoffRoll',
+  'touchdown',
+  'rollout',
+  'stopped',
+]);
+
+const FT_TO_M = 0.3048;
+const M_TO_FT = 3.28084;
+
+export const FLARE_HEIGHT_FT = 30; // Height above the runway where the flare starts
+const FLARE_TIME_CONSTANT_SEC = 3; // Sink rate follows height / this while flaring
+const TOUCHDOWN_SINK_FPM = 120; // The flare never slows the sink below this
+const FLARE_BEFORE_THRESHOLD_M = 150; // A flare may start this far short of the threshold
+const FLARE_MAX_HEADING_OFFSET_DEG = 30;
+
+// Touchdown rating
+const SMOOTH_SINK_FPM = 240; // 4 ft/s
+const HARD_SINK_FPM = 600; // 10 ft/s, the usual hard-landing inspection limit
+const TOUCHDOWN_ZONE_FT = 3000; // First 3,000 ft past the threshold
+
+// Flight phase sent to the pilot: leaves "departure" this high above the ground
+const DEPARTURE_PHASE_TOP_FT = 3000;
+
+/**
+ * Runway rectangle in local coordinates
+ * @param {Object} runway - { x, y (threshold), courseDeg, elevationFt, lengthFt, widthFt }
+ */
+export function createRunwaySurface(runway) {
+  const point = { x: runway.x, y: runway.y };
+  const lengthM = (runway.lengthFt ?? 8000) * FT_TO_M;
+  const halfWidthM = ((runway.widthFt ?? 150) * FT_TO_M) / 2;
+
+  // { crossTrackM (> 0 = right of centerline), alongTrackM (from the threshold) }
+  function offsets(x, y) {
+    return courseLineOffsets(point, runway.courseDeg, x, y);
+  }
+
+  return {
+    courseDeg: runway.courseDeg,
+    elevationMeters: (runway.elevationFt ?? 0) * FT_TO_M,
+    lengthM,
+    halfWidthM,
+    offsets,
+    contains(x, y) {
+      const { crossTrackM, alongTrackM } = offsets(x, y);
+      return alongTrackM >= 0 && alongTrackM <= lengthM && Math.abs(crossTrackM) <= halfWidthM;
+    },
+  };
+}
+
+/**
+ * Whether a descending aircraft should flare for this runway
+ * @param {Object} surface - From createRunwaySurface
+ * @param {Object} state - { x, y, altitudeMeters (MSL), headingOffsetDeg, verticalSpeedFpm }
+ */
+export function isInFlareWindow(surface, state) {
+  const heightFt = (state.altitudeMeters - surface.elevationMeters) * M_TO_FT;
+  if (heightFt > FLARE_HEIGHT_FT || state.verticalSpeedFpm >= 0) return false;
+  if (Math.abs(state.headingOffsetDeg) > FLARE_MAX_HEADING_OFFSET_DEG) return false;
+  const { crossTrackM, alongTrackM } = surface.offsets(state.x, state.y);
+  return (
+    alongTrackM >= -FLARE_BEFORE_THRESHOLD_M &&
+    alongTrackM <= surface.lengthM &&
+    Math.abs(crossTrackM) <= surface.halfWidthM * 2
+  );
+}
+
+// Flare: the sink rate eases off with height, down to a gentle touchdown rate
+export function flareVerticalSpeedFpm(heightFt) {
+  return -Math.max(TOUCHDOWN_SINK_FPM, (Math.max(0, heightFt) * 60) / FLARE_TIME_CONSTANT_SEC);
+}
+
+/**
+ * Scores a touchdown out of 100: sink rate and centerline up to 30 points each,
+ * 20 for landing past the touchdown zone
+ * @param {Object} surface - Runway touched (createRunwaySurface)
+ * @param {Object} contact - { x, y, verticalSpeedFpm, groundspeedKt, headingDeg, simTimeSeconds }
+ */
+export function scoreTouchdown(surface, contact) {
+  const { crossTrackM, alongTrackM } = surface.offsets(contact.x, contact.y);
+  const sinkRateFpm = Math.max(0, -contact.verticalSpeedFpm);
+  const centerlineDeviationFt = crossTrackM * M_TO_FT;
+  const distanceFromThresholdFt = alongTrackM * M_TO_FT;
+  const inTouchdownZone = distanceFromThresholdFt <= TOUCHDOWN_ZONE_FT;
+
+  const sinkExcess = (sinkRateFpm - SMOOTH_SINK_FPM) / (HARD_SINK_FPM - SMOOTH_SINK_FPM);
+  const sinkPenalty = Math.min(1.5, Math.max(0, sinkExcess)) * 30;
+  const centerlinePenalty = Math.min(1, Math.abs(crossTrackM) / surface.halfWidthM) * 30;
+  const zonePenalty = inTouchdownZone ? 0 : 20;
+
+  let crabAngleDeg = (contact.headingDeg - surface.courseDeg) % 360;
+  if (crabAngleDeg > 180) crabAngleDeg -= 360;
+  if (crabAngleDeg < -180) crabAngleDeg += 360;
+
+  return {
+    simTimeSeconds: contact.simTimeSeconds,
+    sinkRateFpm,
+    centerlineDeviationFt, // > 0 = right of centerline
+    distanceFromThresholdFt,
+    groundspeedKt: contact.groundspeedKt,
+    crabAngleDeg,
+    inTouchdownZone,
+    rating:
+      sinkRateFpm <= SMOOTH_SINK_FPM ? 'smooth' : sinkRateFpm <= HARD_SINK_FPM ? 'firm' : 'hard',
+    score: Math.round(100 - sinkPenalty - centerlinePenalty - zonePenalty),
+  };
+}
+
+/**
+ * Flight phase for the pilot request (request schema `phase`)
+ * Runway phases decide it; in the air, a go-around means "missed" until the
+ * next approach is armed, an armed or flown approach means "approach" and a
+ * departure ends DEPARTURE_PHASE_TOP_FT above the ground.
+ * Anything else keeps the current phase (the scenario's or the last one).
+ * @param {string} currentPhase
+ * @param {Object} status - { groundPhase, goAround (TOGA in progress), approachActive, aglFt }
+ */
+export function nextFlightPhase(currentPhase, { groundPhase, goAround, approachActive, aglFt }) {
+  if (groundPhase === 'touchdown' || groundPhase === 'rollout' || groundPhase === 'stopped') {
+    return 'landed';
+  }
+  if (groundPhase === 'linedUp' || groundPhase === 'takeoffRoll' || groundPhase === 'rotation') {
+    return 'departure';
+  }
+  if (goAround) return 'missed';
+  if (groundPhase === 'flare' || approachActive) return 'approach';
+  if (currentPhase === 'departure' && aglFt !== null && aglFt >= DEPARTURE_PHASE_TOP_FT) {
+    return 'enroute';
+  }
+  return currentPhase;
+}
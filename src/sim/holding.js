@@ -0,0 +1,284 @@
+/**
+ * Holding pattern: entry selection and racetrack guidance
+ * Produces NAV guidance (track + turn direction) for the lateral mode manager,
+ * so the flight model flies the hold with its normal heading controller.
+ * Local coordinates as in flightModel.js: x = east (m), y = south (m).
+ *
+ * Entries (AIM 5-3-8) by the track crossing the fix, measured from the
+ * outbound course. Right turns shown; left turns are mirrored:
+ *   teardrop - up to 70° left of the outbound course
+ *   parallel - up to 110° right of it
+ *   direct   - the remaining 180°
+ */
+
+import { courseLineOffsets, courseSteeringTrack } from './lateralModes.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const NM_TO_M = 1852;
+
+const FIX_PASSED_RADIUS_M = 300; // Close enough to count as over the fix
+const TEARDROP_OFFSET_DEG = 30;
+const TURN_COMPLETE_DEG = 5; // Roll out onto the outbound leg within this
+const INBOUND_CAPTURE_DEG = 20; // Inbound turn hands over to course steering
+const DEFAULT_LEG_TIME_SEC = 60; // At or below 14,000 ft
+const HIGH_LEG_TIME_SEC = 90; // Above 14,000 ft
+const HIGH_HOLD_ALTITUDE_FT = 14000;
+
+const toRadians = (deg) => deg * DEG_TO_RAD;
+const toDegrees = (rad) => rad / DEG_TO_RAD;
+const normalizeHeading = (heading) => {
+  heading = heading % 360;
+  return heading < 0 ? heading + 360 : heading;
+};
+const normalizeHeadingDiff = (diff) => {
+  diff = normalizeHeading(diff);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+function bearingTo(fromX, fromY, toX, toY) {
+  // Local y grows southward, so north = -dy
+  return normalizeHeading(toDegrees(Math.atan2(toX - fromX, -(toY - fromY))));
+}
+
+/**
+ * Picks the entry for a hold
+ * @param {number} arrivalTrackDeg - Track the aircraft arrives at the fix with
+ * @param {number} inboundCourseDeg
+ * @param {'left'|'right'} turnDirection
+ * @returns {'direct'|'parallel'|'teardrop'}
+ */
+export function selectHoldEntry(
+  arrivalTrackDeg,
+  inboundCourseDeg,
+  turnDirection = 'right'
+) {
+  const outboundDeg = normalizeHeading(inboundCourseDeg + 180);
+  // Positive = left of the outbound course for right turns
+  const side = turnDirection === 'left' ? -1 : 1;
+  const relative = normalizeHeadingDiff(arrivalTrackDeg - outboundDeg) * -side;
+  if (relative > 0 && relative <= 70) return 'teardrop';
+  if (relative <= 0 && relative >= -110) return 'parallel';
+  return 'direct';
+}
+
+/**
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.fix - Hold fix (local meters)
+ * @param {number} options.inboundCourseDeg
+ * @param {'left'|'right'} [options.turnDirection='right']
+ * @param {number} [options.legLengthNm] - Distance legs; otherwise timed legs
+ * @param {number} [options.legTimeSec] - Outbound leg time (default by altitude)
+ * @param {number} options.altitudeFt - Used for the default leg time
+ * @param {number} options.arrivalTrackDeg - Aircraft track when the hold is issued
+ * @param {number} options.groundspeedMps - For the drawn racetrack size
+ * @param {number} options.turnRateDegps - Standard-rate turn of the aircraft
+ */
+export function createHoldingPattern({
+  fix,
+  inboundCourseDeg,
+  turnDirection = 'right',
+  legLengthNm = null,
+  legTimeSec = null,
+  altitudeFt = 0,
+  arrivalTrackDeg,
+  groundspeedMps,
+  turnRateDegps = 3,
+}) {
+  const inboundDeg = normalizeHeading(inboundCourseDeg);
+  const outboundDeg = normalizeHeading(inboundDeg + 180);
+  const direction = turnDirection === 'left' ? 'left' : 'right';
+  const opposite = direction === 'left' ? 'right' : 'left';
+  const side = direction === 'left' ? -1 : 1;
+  const legTime =
+    legTimeSec ??
+    (altitudeFt > HIGH_HOLD_ALTITUDE_FT
+      ? HIGH_LEG_TIME_SEC
+      : DEFAULT_LEG_TIME_SEC);
+  const entry = selectHoldEntry(arrivalTrackDeg, inboundDeg, direction);
+
+  let phase = 'toFix';
+  let afterFixPhase = entry; // What to fly once over the fix
+  let legStartSeconds = null;
+  let laps = 0;
+
+  function passedFix(state) {
+    const distanceM = Math.hypot(state.x - fix.x, state.y - fix.y);
+    if (distanceM <= FIX_PASSED_RADIUS_M) return true;
+    // Overflown without getting inside the radius (strong wind, tight turn)
+    const bearing = bearingTo(state.x, state.y, fix.x, fix.y);
+    return (
+      distanceM < 2 * FIX_PASSED_RADIUS_M &&
+      Math.abs(normalizeHeadingDiff(bearing - state.trackDeg)) > 90
+    );
+  }
+
+  function outboundLegDone(state) {
+    if (legLengthNm) {
+      const { alongTrackM } = courseLineOffsets(
+        fix,
+        inboundDeg,
+        state.x,
+        state.y
+      );
+      return alongTrackM <= -legLengthNm * NM_TO_M;
+    }
+    return state.simTimeSeconds - legStartSeconds >= legTime;
+  }
+
+  function startLeg(nextPhase, state) {
+    phase = nextPhase;
+    legStartSeconds = state.simTimeSeconds;
+  }
+
+  /**
+   * NAV guidance for the lateral mode manager
+   * @param {Object} state - { x, y, trackDeg, simTimeSeconds }
+   * @returns {{trackDeg: number, turnDirection: string}}
+   */
+  function guidance(state) {
+    switch (phase) {
+      case 'toFix':
+        if (passedFix(state)) {
+          if (afterFixPhase === 'direct') {
+            phase = 'outboundTurn';
+          } else {
+            startLeg(afterFixPhase, state);
+          }
+          afterFixPhase = 'direct';
+          return guidance(state);
+        }
+        return {
+          trackDeg: bearingTo(state.x, state.y, fix.x, fix.y),
+          turnDirection: 'shortest',
+        };
+
+      case 'teardrop':
+        // Offset outbound into the holding side, then turn onto the inbound course
+        if (state.simTimeSeconds - legStartSeconds >= legTime) {
+          phase = 'inboundTurn';
+          return guidance(state);
+        }
+        return {
+          trackDeg: normalizeHeading(outboundDeg - side * TEARDROP_OFFSET_DEG),
+          turnDirection: 'shortest',
+        };
+
+      case 'parallel':
+        // Outbound on the non-holding side, then turn back against the hold to the fix
+        if (state.simTimeSeconds - legStartSeconds >= legTime) {
+          phase = 'parallelReturn';
+          return guidance(state);
+        }
+        return { trackDeg: outboundDeg, turnDirection: opposite };
+
+      case 'parallelReturn': {
+        const bearing = bearingTo(state.x, state.y, fix.x, fix.y);
+        const errorDeg = normalizeHeadingDiff(bearing - state.trackDeg);
+        if (Math.abs(errorDeg) <= INBOUND_CAPTURE_DEG) phase = 'toFix';
+        return {
+          trackDeg: bearing,
+          turnDirection: phase === 'toFix' ? 'shortest' : opposite,
+        };
+      }
+
+      case 'outboundTurn':
+        if (
+          Math.abs(normalizeHeadingDiff(outboundDeg - state.trackDeg)) <=
+          TURN_COMPLETE_DEG
+        ) {
+          startLeg('outbound', state);
+        }
+        return { trackDeg: outboundDeg, turnDirection: direction };
+
+      case 'outbound':
+        if (outboundLegDone(state)) {
+          phase = 'inboundTurn';
+          return guidance(state);
+        }
+        return { trackDeg: outboundDeg, turnDirection: 'shortest' };
+
+      case 'inboundTurn':
+        if (
+          Math.abs(normalizeHeadingDiff(inboundDeg - state.trackDeg)) <=
+          INBOUND_CAPTURE_DEG
+        ) {
+          phase = 'inbound';
+          return guidance(state);
+        }
+        return { trackDeg: inboundDeg, turnDirection: direction };
+
+      case 'inbound': {
+        const { crossTrackM, alongTrackM } = courseLineOffsets(
+          fix,
+          inboundDeg,
+          state.x,
+          state.y
+        );
+        if (alongTrackM >= 0) {
+          laps += 1;
+          phase = 'outboundTurn';
+          return guidance(state);
+        }
+        return {
+          trackDeg: courseSteeringTrack(inboundDeg, crossTrackM),
+          turnDirection: 'shortest',
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Racetrack outline for drawing (local meters, closed ring)
+   * Leg length uses the groundspeed when the hold was issued for timed legs.
+   */
+  function getRacetrack(pointsPerTurn = 12) {
+    const speedMps = Math.max(1, groundspeedMps || 0);
+    const radiusM = speedMps / toRadians(turnRateDegps);
+    const legM = legLengthNm ? legLengthNm * NM_TO_M : speedMps * legTime;
+    // Unit vectors (y south): along the inbound course, and toward the holding side
+    const courseRad = toRadians(inboundDeg);
+    const u = { x: Math.sin(courseRad), y: -Math.cos(courseRad) };
+    const v = { x: side * Math.cos(courseRad), y: side * Math.sin(courseRad) };
+    const at = (base, du, dv) => ({
+      x: base.x + u.x * du + v.x * dv,
+      y: base.y + u.y * du + v.y * dv,
+    });
+
+    const points = [at(fix, -legM, 0)];
+    const fixTurnCenter = at(fix, 0, radiusM);
+    for (let i = 0; i <= pointsPerTurn; i++) {
+      const theta = (Math.PI * i) / pointsPerTurn;
+      points.push(
+        at(fixTurnCenter, radiusM * Math.sin(theta), -radiusM * Math.cos(theta))
+      );
+    }
+    const farTurnCenter = at(fix, -legM, radiusM);
+    for (let i = 0; i <= pointsPerTurn; i++) {
+      const theta = (Math.PI * i) / pointsPerTurn;
+      points.push(
+        at(farTurnCenter, -radiusM * Math.sin(theta), radiusM * Math.cos(theta))
+      );
+    }
+    return points;
+  }
+
+  return {
+    guidance,
+    getRacetrack,
+    getStatus() {
+      return {
+        fix: { ...fix },
+        inboundCourseDeg: inboundDeg,
+        turnDirection: direction,
+        entry,
+        phase,
+        laps,
+        legTimeSec: legLengthNm ? null : legTime,
+        legLengthNm: legLengthNm ?? null,
+      };
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * ILS geometry: localizer and glideslope deviations for one runway
+ * Works in local coordinates like flightModel.js (x = east m, y = south m).
+ * Signs: localizer deviation > 0 = right of course, glideslope deviation > 0 =
+ * above the glidepath. Dots use a 2-dot display (LOC ±2.5°, GS ±0.7° full scale).
+ */
+
+import { courseLineOffsets } from './lateralModes.js';
+
+const FT_TO_M = 0.3048;
+const M_TO_FT = 3.28084;
+const M_TO_NM = 1 / 1852;
+const DEG_TO_RAD = Math.PI / 180;
+
+const LOC_DEG_PER_DOT = 1.25;
+const GS_DEG_PER_DOT = 0.35;
+const LOC_ANTENNA_BEYOND_END_M = 300; // Localizer antenna sits past the stop end
+
+/**
+ * @param {Object} approach - Runway in local coordinates:
+ *   { x, y, courseDeg, elevationFt, glideslopeDeg, thresholdCrossingHeightFt, lengthFt }
+ *   x/y is the landing threshold
+ */
+export function createIlsGeometry(approach) {
+  const glideslopeRad = (approach.glideslopeDeg ?? 3) * DEG_TO_RAD;
+  const tchM = (approach.thresholdCrossingHeightFt ?? 50) * FT_TO_M;
+  const elevationM = (approach.elevationFt ?? 0) * FT_TO_M;
+  // Glidepath origin: where the path meets the runway past the threshold
+  const gsOriginAlongM = tchM / Math.tan(glideslopeRad);
+  const locAntennaAlongM = (approach.lengthFt ?? 8000) * FT_TO_M + LOC_ANTENNA_BEYOND_END_M;
+  const point = { x: approach.x, y: approach.y };
+
+  function pathAltitudeMeters(alongTrackM) {
+    // Glidepath height above the runway; zero past the glidepath origin
+    return elevationM + Math.max(0, (gsOriginAlongM - alongTrackM) * Math.tan(glideslopeRad));
+  }
+
+  /**
+   * @param {number} x - Local east (m)
+   * @param {number} y - Local south (m)
+   * @param {number} altitudeMeters - Absolute altitude (m MSL)
+   */
+  function getDeviations(x, y, altitudeMeters) {
+    const { crossTrackM, alongTrackM } = courseLineOffsets(point, approach.courseDeg, x, y);
+
+    const toLocAntennaM = Math.max(1, locAntennaAlongM - alongTrackM);
+    const locDeviationDeg = Math.atan2(crossTrackM, toLocAntennaM) / DEG_TO_RAD;
+
+    const toGsOriginM = Math.max(1, gsOriginAlongM - alongTrackM);
+    const elevationAngleDeg =
+      Math.atan2(altitudeMeters - elevationM, toGsOriginM) / DEG_TO_RAD;
+    const gsDeviationDeg = elevationAngleDeg - approach.glideslopeDeg;
+    const pathAltitudeM = pathAltitudeMeters(alongTrackM);
+
+    return {
+      crossTrackM,
+      alongTrackM,
+      distanceToThresholdNm: -alongTrackM * M_TO_NM,
+      locDeviationDeg,
+      locDeviationDots: locDeviationDeg / LOC_DEG_PER_DOT,
+      gsDeviationDeg,
+      gsDeviationDots: gsDeviationDeg / GS_DEG_PER_DOT,
+      gsDeviationFt: (altitudeMeters - pathAltitudeM) * M_TO_FT,
+      pathAltitudeFt: pathAltitudeM * M_TO_FT,
+    };
+  }
+
+  return {
+    approach,
+    glideslopeRad,
+    glidepathOriginAlongM: gsOriginAlongM,
+    getDeviations,
+    pathAltitudeMeters,
+  };
+}
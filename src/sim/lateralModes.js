@@ -0,0 +1,277 @@
+/**
+ * Lateral mode manager: HDG, TRK, NAV and LOC
+ * Turns the active lateral mode into a heading command (plus the direction to
+ * turn) for the flight model's heading controller. Pure and stepped by the
+ * flight model, so headless runs fly the same paths as the browser.
+ *
+ * Modes:
+ *   HDG - hold a selected heading
+ *   TRK - hold a selected ground track (wind corrected)
+ *   NAV - follow track guidance from a navigation source (direct-to, route)
+ *   LOC - track a localizer course line; arms from HDG/TRK and captures on intercept
+ *
+ * Local coordinates as in flightModel.js: x = east (m), y = south (m).
+ */
+
+export const LATERAL_MODES = Object.freeze(['HDG', 'TRK', 'NAV', 'LOC']);
+export const TURN_DIRECTIONS = Object.freeze(['left', 'right', 'shortest']);
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Commanded turn direction is dropped once within this of the selected value
+const TURN_COMPLETE_DEG = 2;
+// Course-line steering: intercept angle per meter of cross-track error
+const COURSE_GAIN_DEG_PER_M = 0.03;
+const MAX_INTERCEPT_ANGLE_DEG = 30;
+// LOC captures when the turn onto the course would finish within this margin
+const LOC_CAPTURE_MARGIN_M = 150;
+const LOC_MAX_CAPTURE_ANGLE_DEG = 120;
+
+const toRadians = (deg) => deg * DEG_TO_RAD;
+const normalizeHeading = (heading) => {
+  heading = heading % 360;
+  return heading < 0 ? heading + 360 : heading;
+};
+const normalizeHeadingDiff = (diff) => {
+  diff = normalizeHeading(diff);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+function normalizeTurnDirection(direction) {
+  return TURN_DIRECTIONS.includes(direction) ? direction : 'shortest';
+}
+
+/**
+ * Signed heading error for a commanded turn direction
+ * 'left' is always <= 0 and 'right' always >= 0, so a 330° turn is flown the
+ * long way round when ATC asks for it.
+ */
+export function turnError(targetDeg, currentDeg, direction = 'shortest') {
+  if (direction === 'left') return -normalizeHeading(currentDeg - targetDeg);
+  if (direction === 'right') return normalizeHeading(targetDeg - currentDeg);
+  return normalizeHeadingDiff(targetDeg - currentDeg);
+}
+
+/**
+ * Cross- and along-track position relative to a course line
+ * @param {{x: number, y: number}} point - Point on the line (local meters)
+ * @param {number} courseDeg - Course along the line (true)
+ * @param {number} x - Aircraft local east (m)
+ * @param {number} y - Aircraft local south (m)
+ * @returns {{crossTrackM: number, alongTrackM: number}} crossTrackM > 0 = right of course,
+ *   alongTrackM < 0 = before the point
+ */
+export function courseLineOffsets(point, courseDeg, x, y) {
+  const east = x - point.x;
+  const north = -(y - point.y);
+  const courseRad = toRadians(courseDeg);
+  return {
+    crossTrackM: east * Math.cos(courseRad) - north * Math.sin(courseRad),
+    alongTrackM: east * Math.sin(courseRad) + north * Math.cos(courseRad),
+  };
+}
+
+/**
+ * Track that steers back onto a course line, intercept angle growing with the
+ * cross-track error up to MAX_INTERCEPT_ANGLE_DEG
+ */
+export function courseSteeringTrack(courseDeg, crossTrackM) {
+  const correction = Math.max(
+    -MAX_INTERCEPT_ANGLE_DEG,
+    Math.min(MAX_INTERCEPT_ANGLE_DEG, crossTrackM * COURSE_GAIN_DEG_PER_M)
+  );
+  return normalizeHeading(courseDeg - correction);
+}
+
+export function createLateralModeManager() {
+  let mode = null; // Active mode; null = no lateral automation (manual)
+  let armedMode = null; // Only LOC arms; the active mode is flown until capture
+  let selectedHeadingDeg = null;
+  let selectedTrackDeg = null;
+  let turnDirection = 'shortest';
+
+  let navGuidance = null; // (state) => ({ trackDeg, turnDirection? }) | null when guidance ends
+  let localizer = null; // { x, y, courseDeg } course line the LOC mode tracks
+  let localizerDeviation = null; // { crossTrackM, alongTrackM } while a localizer is set
+
+  // Heading to hold when a mode drops out (e.g. NAV guidance ends)
+  function revertToHeading(headingDeg) {
+    mode = 'HDG';
+    selectedHeadingDeg = normalizeHeading(headingDeg);
+    selectedTrackDeg = null;
+    turnDirection = 'shortest';
+  }
+
+  // Track to heading: keep the current drift angle (TAS + wind) applied
+  function headingForTrack(trackDeg, state) {
+    if (!(state.groundspeedMps > 1)) return trackDeg;
+    const driftDeg = normalizeHeadingDiff(state.trackDeg - state.headingDeg);
+    return normalizeHeading(trackDeg - driftDeg);
+  }
+
+  function commandForTrack(trackDeg, state, direction) {
+    if (
+      direction !== 'shortest' &&
+      Math.abs(normalizeHeadingDiff(trackDeg - state.trackDeg)) <= TURN_COMPLETE_DEG
+    ) {
+      direction = 'shortest';
+    }
+    return { headingDeg: headingForTrack(trackDeg, state), turnDirection: direction };
+  }
+
+  function shouldCaptureLocalizer(state, offsets) {
+    if (offsets.alongTrackM >= 0) return false; // Past the course reference point
+    const angleDeg = normalizeHeadingDiff(localizer.courseDeg - state.trackDeg);
+    if (Math.abs(angleDeg) > LOC_MAX_CAPTURE_ANGLE_DEG) return false;
+    // Must be converging: right of course with the course to the right of track, or vice versa
+    const converging =
+      Math.abs(offsets.crossTrackM) < LOC_CAPTURE_MARGIN_M ||
+      Math.sign(offsets.crossTrackM) === Math.sign(angleDeg);
+    if (!converging) return false;
+    // Lead the turn: radius at the current turn rate times (1 - cos(intercept angle))
+    const turnRateRadps = toRadians(state.maxTurnRateDegps || 3);
+    const radiusM = (state.groundspeedMps || 0) / turnRateRadps;
+    const leadM = radiusM * (1 - Math.cos(toRadians(Math.abs(angleDeg))));
+    return Math.abs(offsets.crossTrackM) <= leadM + LOC_CAPTURE_MARGIN_M;
+  }
+
+  /**
+   * Heading command for this step
+   * @param {Object} state - { x, y, headingDeg, trackDeg, groundspeedMps, maxTurnRateDegps,
+   *   simTimeSeconds }
+   * @returns {{headingDeg: number, turnDirection: string}|null} null = no lateral automation
+   */
+  function update(state) {
+    if (localizer) {
+      localizerDeviation = courseLineOffsets(localizer, localizer.courseDeg, state.x, state.y);
+      if (armedMode === 'LOC' && shouldCaptureLocalizer(state, localizerDeviation)) {
+        mode = 'LOC';
+        armedMode = null;
+        turnDirection = 'shortest';
+      }
+    }
+
+    switch (mode) {
+      case 'HDG':
+        if (
+          turnDirection !== 'shortest' &&
+          Math.abs(normalizeHeadingDiff(selectedHeadingDeg - state.headingDeg)) <=
+            TURN_COMPLETE_DEG
+        ) {
+          turnDirection = 'shortest';
+        }
+        return { headingDeg: selectedHeadingDeg, turnDirection };
+
+      case 'TRK': {
+        const command = commandForTrack(selectedTrackDeg, state, turnDirection);
+        turnDirection = command.turnDirection;
+        return command;
+      }
+
+      case 'NAV': {
+        const guidance = navGuidance?.(state);
+        if (!guidance || !Number.isFinite(guidance.trackDeg)) {
+          navGuidance = null;
+          revertToHeading(state.headingDeg);
+          return { headingDeg: selectedHeadingDeg, turnDirection };
+        }
+        return commandForTrack(
+          guidance.trackDeg,
+          state,
+          normalizeTurnDirection(guidance.turnDirection)
+        );
+      }
+
+      case 'LOC':
+        return commandForTrack(
+          courseSteeringTrack(localizer.courseDeg, localizerDeviation.crossTrackM),
+          state,
+          'shortest'
+        );
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    update,
+
+    get mode() {
+      return mode;
+    },
+
+    setHeading(headingDeg, direction = 'shortest') {
+      mode = 'HDG';
+      selectedHeadingDeg = normalizeHeading(headingDeg);
+      selectedTrackDeg = null;
+      turnDirection = normalizeTurnDirection(direction);
+    },
+
+    setTrack(trackDeg, direction = 'shortest') {
+      mode = 'TRK';
+      selectedTrackDeg = normalizeHeading(trackDeg);
+      selectedHeadingDeg = null;
+      turnDirection = normalizeTurnDirection(direction);
+    },
+
+    // guidance: (state) => ({ trackDeg, turnDirection? }) or null once the path is complete
+    setNavGuidance(guidance) {
+      navGuidance = typeof guidance === 'function' ? guidance : null;
+      if (!navGuidance && mode === 'NAV') mode = null;
+    },
+
+    // Returns false when there is no guidance to follow
+    engageNav() {
+      if (!navGuidance) return false;
+      navGuidance.onEngage?.(); // e.g. a route picks the leg to rejoin
+      mode = 'NAV';
+      armedMode = null;
+      turnDirection = 'shortest';
+      return true;
+    },
+
+    // definition: { x, y, courseDeg } in local meters, or null to remove
+    setLocalizer(definition) {
+      localizer =
+        definition && Number.isFinite(definition.courseDeg)
+          ? {
+              x: Number(definition.x) || 0,
+              y: Number(definition.y) || 0,
+              courseDeg: normalizeHeading(definition.courseDeg),
+            }
+          : null;
+      localizerDeviation = null;
+      if (!localizer && (mode === 'LOC' || armedMode === 'LOC')) {
+        armedMode = null;
+        if (mode === 'LOC') mode = null;
+      }
+    },
+
+    // Arms LOC; the current mode keeps flying until the intercept. Returns false without a localizer
+    armLocalizer() {
+      if (!localizer) return false;
+      if (mode !== 'LOC') armedMode = 'LOC';
+      return true;
+    },
+
+    clear() {
+      mode = null;
+      armedMode = null;
+      selectedHeadingDeg = null;
+      selectedTrackDeg = null;
+      turnDirection = 'shortest';
+    },
+
+    getStatus() {
+      return {
+        mode,
+        armedMode,
+        selectedHeadingDeg,
+        selectedTrackDeg,
+        turnDirection,
+        localizerDeviation: localizerDeviation ? { ...localizerDeviation } : null,
+      };
+    },
+  };
+}
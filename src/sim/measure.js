@@ -0,0 +1,81 @@
+/**
+ * Measuring: distance and bearing between two points, and range/bearing from the ownship
+ * Bearings are true like every heading in the sim; magnetic ones subtract the Bay Area
+ * variation (13° E, the difference between KOAK ILS 30's 296° magnetic and ~309° true).
+ * Clock positions are relative to the ownship's ground track, as ATC gives them in
+ * traffic calls ("traffic, two o'clock, three miles").
+ */
+
+import { greatCircleBearingDeg, greatCircleDistanceNm } from './geo.js';
+
+export const MAGNETIC_VARIATION_DEG = 13; // East
+
+const MIN_ETA_GROUNDSPEED_KT = 30; // Slower (taxiing or stopped): no ETA
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+  'eighteen', 'nineteen', 'twenty',
+];
+
+const normalizeDeg = (deg) => ((deg % 360) + 360) % 360;
+
+export function trueToMagneticDeg(trueDeg) {
+  return normalizeDeg(trueDeg - MAGNETIC_VARIATION_DEG);
+}
+
+// Three digits, 360 for north: "005", "360"
+export function formatBearingDeg(deg) {
+  const rounded = Math.round(normalizeDeg(deg));
+  return String(rounded === 0 ? 360 : rounded).padStart(3, '0');
+}
+
+/**
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {{distanceNm: number, trueBearingDeg: number, magneticBearingDeg: number}}
+ */
+export function measureBetween(from, to) {
+  const trueBearingDeg = greatCircleBearingDeg(from.lat, from.lon, to.lat, to.lon);
+  return {
+    distanceNm: greatCircleDistanceNm(from.lat, from.lon, to.lat, to.lon),
+    trueBearingDeg,
+    magneticBearingDeg: trueToMagneticDeg(trueBearingDeg),
+  };
+}
+
+// 1-12 relative to the track; 12 is straight ahead
+export function clockPosition(trackDeg, bearingDeg) {
+  const hour = Math.round(normalizeDeg(bearingDeg - trackDeg) / 30) % 12;
+  return hour === 0 ? 12 : hour;
+}
+
+// Traffic call wording: "two o'clock, three miles"
+export function trafficCallPhrase(clock, distanceNm) {
+  const miles = Math.round(distanceNm);
+  const spokenMiles =
+    miles === 0
+      ? 'less than a mile'
+      : `${NUMBER_WORDS[miles] ?? miles} ${miles === 1 ? 'mile' : 'miles'}`;
+  return `${NUMBER_WORDS[clock]} o'clock, ${spokenMiles}`;
+}
+
+/**
+ * Range and bearing from the ownship to a target, as a range/bearing line shows it
+ * @param {Object} ownship - { lat, lon, trackDeg, groundspeedKt }
+ * @param {Object} target - { lat, lon }
+ * @returns {Object} measureBetween's fields plus clock, call (trafficCallPhrase) and
+ *   etaSec at the present groundspeed (null below 30 kt)
+ */
+export function rangeAndBearing(ownship, target) {
+  const measured = measureBetween(ownship, target);
+  const clock = clockPosition(ownship.trackDeg, measured.trueBearingDeg);
+  return {
+    ...measured,
+    clock,
+    call: trafficCallPhrase(clock, measured.distanceNm),
+    etaSec:
+      ownship.groundspeedKt >= MIN_ETA_GROUNDSPEED_KT
+        ? (measured.distanceNm / ownship.groundspeedKt) * 3600
+        : null,
+  };
+}
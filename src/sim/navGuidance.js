@@ -0,0 +1,232 @@
+/**
+ * NAV guidance sources for the lateral mode manager (see lateralModes.js)
+ * Each source is a function (state) => ({ trackDeg, turnDirection? }) | null,
+ * returning null once its path is complete. A source may also carry an
+ * onEngage() hook, called whenever NAV engages on it. Positions come in local meters, so
+ * the caller supplies toLatLon(x, y) => { lat, lon } (Map.vue's converter, or
+ * createLocalProjection from geo.js in headless runs).
+ */
+
+import {
+  greatCircleBearingDeg,
+  greatCircleDistanceNm,
+  greatCircleOffsetsNm,
+} from './geo.js';
+import { courseSteeringTrack } from './lateralModes.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const NM_TO_M = 1852;
+
+const FIX_PASSED_NM = 0.2; // Close enough to count as over the fix
+const FIX_OVERFLY_CHECK_NM = 1; // Inside this, a fix behind the aircraft counts as passed
+const MAX_ANTICIPATED_TURN_DEG = 135; // Sharper route turns fly over the fix instead
+
+const normalizeHeadingDiff = (diff) => {
+  diff = ((diff % 360) + 360) % 360;
+  return diff > 180 ? diff - 360 : diff;
+};
+
+/**
+ * Direct-to: great-circle course from the present position to a fix
+ * @param {{lat: number, lon: number}} fix
+ * @param {Function} toLatLon - (x, y) => { lat, lon }
+ * @returns {Function} Guidance; null after the fix is passed
+ */
+export function createDirectToGuidance(fix, toLatLon) {
+  let passed = false;
+  let inbound = false; // Has flown toward the fix (a fix behind us at the start isn't passed)
+
+  return function directToGuidance(state) {
+    if (passed) return null;
+    const { lat, lon } = toLatLon(state.x, state.y);
+    const distanceNm = greatCircleDistanceNm(lat, lon, fix.lat, fix.lon);
+    const bearingDeg = greatCircleBearingDeg(lat, lon, fix.lat, fix.lon);
+    const behind = Math.abs(normalizeHeadingDiff(bearingDeg - state.trackDeg)) > 90;
+    if (!behind) inbound = true;
+    if (
+      distanceNm <= FIX_PASSED_NM ||
+      (inbound && behind && distanceNm <= FIX_OVERFLY_CHECK_NM)
+    ) {
+      passed = true;
+      return null;
+    }
+    return { trackDeg: bearingDeg, turnDirection: 'shortest' };
+  };
+}
+
+/**
+ * LNAV: flies a route of waypoints leg by leg (track to fix along the great circle)
+ * Turns onto the next leg are anticipated by the turn radius at the current
+ * groundspeed; the last waypoint is flown to abeam, then guidance ends.
+ * Engaging NAV (see lateralModes.js engageNav) rejoins the route at the leg
+ * closest to the aircraft.
+ * @param {Array<{lat, lon}>} waypoints - Route waypoints (extra fields are passed through)
+ * @param {Function} toLatLon - (x, y) => { lat, lon }
+ * @param {Object} [options]
+ * @param {Function} [options.onActiveWaypointChange] - (waypoint, index) when a leg starts
+ * @returns {Function} Guidance with onEngage(), directTo(identOrName),
+ *   getConstraintsAhead(state) and getStatus()
+ */
+export function createRouteGuidance(waypoints, toLatLon, { onActiveWaypointChange } = {}) {
+  const legs = waypoints.filter(
+    (waypoint) => Number.isFinite(waypoint?.lat) && Number.isFinite(waypoint?.lon)
+  );
+  let activeIndex = 0;
+  let legStart = null; // Start of the active leg: previous waypoint or the direct-to position
+  let needsRejoin = true;
+  let pendingDirect = false; // Direct-to requested; the leg starts at the next position
+  let complete = legs.length === 0;
+
+  function setActive(index, start) {
+    activeIndex = index;
+    legStart = start;
+    onActiveWaypointChange?.(legs[index], index);
+  }
+
+  // Active waypoint = end of the leg closest to the aircraft
+  function rejoin(position) {
+    complete = false;
+    if (legs.length === 1) {
+      setActive(0, position);
+      return;
+    }
+    let bestIndex = 1;
+    let bestDistanceNm = Infinity;
+    for (let i = 1; i < legs.length; i++) {
+      const from = legs[i - 1];
+      const to = legs[i];
+      const legNm = greatCircleDistanceNm(from.lat, from.lon, to.lat, to.lon);
+      const { crossTrackNm, alongTrackNm } = greatCircleOffsetsNm(
+        from.lat,
+        from.lon,
+        to.lat,
+        to.lon,
+        position.lat,
+        position.lon
+      );
+      let distanceNm = Math.abs(crossTrackNm);
+      if (alongTrackNm < 0) {
+        distanceNm = greatCircleDistanceNm(position.lat, position.lon, from.lat, from.lon);
+      } else if (alongTrackNm > legNm) {
+        distanceNm = greatCircleDistanceNm(position.lat, position.lon, to.lat, to.lon);
+      }
+      if (distanceNm < bestDistanceNm) {
+        bestDistanceNm = distanceNm;
+        bestIndex = i;
+      }
+    }
+    setActive(bestIndex, legs[bestIndex - 1]);
+  }
+
+  // Distance before the fix to start the turn onto the next leg
+  function turnLeadNm(state) {
+    const next = legs[activeIndex + 1];
+    if (!next) return 0;
+    const to = legs[activeIndex];
+    const inboundDeg = greatCircleBearingDeg(to.lat, to.lon, legStart.lat, legStart.lon) + 180;
+    const outboundDeg = greatCircleBearingDeg(to.lat, to.lon, next.lat, next.lon);
+    const turnDeg = Math.abs(normalizeHeadingDiff(outboundDeg - inboundDeg));
+    if (turnDeg > MAX_ANTICIPATED_TURN_DEG) return 0; // Fly over and turn back
+    const turnRateRadps = (state.maxTurnRateDegps || 3) * DEG_TO_RAD;
+    const radiusNm = (state.groundspeedMps || 0) / turnRateRadps / NM_TO_M;
+    return radiusNm * Math.tan((turnDeg * DEG_TO_RAD) / 2);
+  }
+
+  function routeGuidance(state) {
+    if (complete) return null;
+    const position = toLatLon(state.x, state.y);
+    if (pendingDirect) {
+      pendingDirect = false;
+      needsRejoin = false;
+      legStart = position;
+    } else if (needsRejoin) {
+      needsRejoin = false;
+      rejoin(position);
+    }
+
+    for (;;) {
+      const to = legs[activeIndex];
+      const { crossTrackNm, alongTrackNm } = greatCircleOffsetsNm(
+        legStart.lat,
+        legStart.lon,
+        to.lat,
+        to.lon,
+        position.lat,
+        position.lon
+      );
+      const legNm = greatCircleDistanceNm(legStart.lat, legStart.lon, to.lat, to.lon);
+      if (alongTrackNm >= legNm - turnLeadNm(state)) {
+        if (activeIndex >= legs.length - 1) {
+          complete = true;
+          return null;
+        }
+        setActive(activeIndex + 1, to);
+        continue;
+      }
+
+      // Course of the leg abeam the aircraft, then steer onto it
+      const toGoNm = Math.max(0.01, legNm - alongTrackNm);
+      const bearingDeg = greatCircleBearingDeg(position.lat, position.lon, to.lat, to.lon);
+      const legCourseDeg = bearingDeg + Math.atan2(crossTrackNm, toGoNm) / DEG_TO_RAD;
+      return {
+        trackDeg: courseSteeringTrack(legCourseDeg, crossTrackNm * NM_TO_M),
+        turnDirection: 'shortest',
+      };
+    }
+  }
+
+  return Object.assign(routeGuidance, {
+    // Called by the lateral mode manager when NAV engages
+    onEngage() {
+      if (!pendingDirect) needsRejoin = true;
+    },
+
+    // Direct to a route waypoint by ident or name; false when it is not on the route
+    directTo(identOrName) {
+      const key = String(identOrName ?? '').trim().toUpperCase();
+      const index = legs.findIndex(
+        (waypoint) =>
+          waypoint.ident?.toUpperCase() === key || waypoint.name?.toUpperCase() === key
+      );
+      if (index < 0) return false;
+      complete = false;
+      pendingDirect = true;
+      setActive(index, null);
+      return true;
+    },
+
+    /**
+     * Altitude constraints still ahead on the route, for VNAV (see verticalModes.js)
+     * @returns {Array<{altitudeFt, altitudeConstraint, distanceNm}>} Route order;
+     *   distanceNm is along the route from the aircraft
+     */
+    getConstraintsAhead(state) {
+      if (complete || needsRejoin || pendingDirect) return [];
+      const position = toLatLon(state.x, state.y);
+      const constraints = [];
+      let from = position;
+      let distanceNm = 0;
+      for (let i = activeIndex; i < legs.length; i++) {
+        const to = legs[i];
+        distanceNm += greatCircleDistanceNm(from.lat, from.lon, to.lat, to.lon);
+        from = to;
+        if (!Number.isFinite(to.altitudeFt)) continue;
+        constraints.push({
+          altitudeFt: to.altitudeFt,
+          altitudeConstraint: to.altitudeConstraint || 'at',
+          distanceNm,
+        });
+      }
+      return constraints;
+    },
+
+    getStatus() {
+      return {
+        activeIndex: complete ? null : activeIndex,
+        activeWaypoint: complete ? null : legs[activeIndex] ?? null,
+        complete,
+        waypointCount: legs.length,
+      };
+    },
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Navigation database: fixes, VORs, airports and runways for the Bay Area
+ * Fixes and navaids live in data/navdata.json, airports and runways in
+ * data/airports.json (via runways.js). Coordinates are approximate and for the
+ * sim only, not for real-world navigation.
+ *
+ * Waypoint shape: { ident, name, type, lat, lon, frequencyMHz? }
+ *   type: 'fix' | 'vfr' | 'VOR' | 'VOR/DME' | 'VORTAC' | 'airport'
+ * navdataGeoJson() turns the same data into the map's navaids layer.
+ */
+
+import navdata from '../../data/navdata.json' with { type: 'json' };
+import { listAirports } from './runways.js';
+import { destinationPoint, greatCircleBearingDeg, greatCircleDistanceNm } from './geo.js';
+
+const FT_PER_NM = 6076.12;
+
+function buildWaypoint(entry, defaultType) {
+  if (!entry.ident || !Number.isFinite(entry.lat) || !Number.isFinite(entry.lon)) {
+    throw new Error(`Navdata entry ${entry.ident ?? '(no ident)'} needs ident, lat and lon`);
+  }
+  return Object.freeze({
+    ident: String(entry.ident).toUpperCase(),
+    name: entry.name || entry.ident,
+    type: entry.type || defaultType,
+    lat: entry.lat,
+    lon: entry.lon,
+    ...(entry.frequencyMHz ? { frequencyMHz: entry.frequencyMHz } : {}),
+  });
+}
+
+// Lookup order settles shared idents: "OAK" is the VORTAC, "KOAK" the airport
+const waypoints = Object.freeze([
+  ...(navdata.fixes || []).map((fix) => buildWaypoint(fix, 'fix')),
+  ...(navdata.navaids || []).map((navaid) => buildWaypoint(navaid, 'VOR')),
+  ...listAirports()
+    .filter((airport) => Number.isFinite(airport.lat) && Number.isFinite(airport.lon))
+    .map((airport) =>
+      buildWaypoint(
+        { ident: airport.id, name: airport.name, lat: airport.lat, lon: airport.lon },
+        'airport'
+      )
+    ),
+]);
+
+const byIdent = new Map();
+const byName = new Map();
+for (const waypoint of waypoints) {
+  if (!byIdent.has(waypoint.ident)) byIdent.set(waypoint.ident, waypoint);
+  const name = waypoint.name.toUpperCase();
+  if (!byName.has(name)) byName.set(name, waypoint);
+}
+
+export function listWaypoints() {
+  return waypoints;
+}
+
+/**
+ * Finds a waypoint by identifier ("ALCTZ", "OAK", "KSFO") or name ("Bay Bridge")
+ * @returns {Object|null} Frozen waypoint or null when unknown
+ */
+export function findWaypoint(identOrName) {
+  const key = String(identOrName ?? '').trim().toUpperCase();
+  if (!key) return null;
+  return byIdent.get(key) ?? byName.get(key) ?? null;
+}
+
+/**
+ * Waypoints near a position for the pilot request (request schema `fixes`)
+ * @returns {Array<{ident, name, type, bearingDeg, distanceNm}>} Closest first
+ */
+export function describeNearbyWaypoints(lat, lon, { radiusNm = 50, limit = 30 } = {}) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return [];
+  return waypoints
+    .map((waypoint) => ({
+      ident: waypoint.ident,
+      name: waypoint.name,
+      type: waypoint.type,
+      bearingDeg: Math.round(greatCircleBearingDeg(lat, lon, waypoint.lat, waypoint.lon)),
+      distanceNm: Math.round(greatCircleDistanceNm(lat, lon, waypoint.lat, waypoint.lon) * 10) / 10,
+    }))
+    .filter((waypoint) => waypoint.distanceNm <= radiusNm)
+    .sort((a, b) => a.distanceNm - b.distanceNm)
+    .slice(0, limit);
+}
+
+/**
+ * Turns a scenario flightPlan into route waypoints for LNAV
+ * Entries name a navdata `fix` (or resolve by `name`) or give `lat`/`lon`;
+ * entries without a position stay in the plan as display-only rows.
+ * @returns {Array<{ident, name, lat, lon, altitudeFt, altitudeConstraint, speedKt, planIndex}>}
+ */
+export function resolveFlightPlan(flightPlan = []) {
+  const route = [];
+  flightPlan.forEach((entry, planIndex) => {
+    let position = null;
+    if (Number.isFinite(entry.lat) && Number.isFinite(entry.lon)) {
+      position = { ident: entry.fix ?? null, lat: entry.lat, lon: entry.lon };
+    } else {
+      const waypoint = findWaypoint(entry.fix ?? entry.name);
+      if (waypoint) {
+        position = { ident: waypoint.ident, lat: waypoint.lat, lon: waypoint.lon };
+      } else if (entry.fix) {
+        console.warn(`[Navdata] Unknown flight plan fix ${entry.fix}`);
+      }
+    }
+    if (!position) return;
+    route.push({
+      ...position,
+      name: entry.name || position.ident,
+      altitudeFt: Number.isFinite(entry.altitudeFt) ? entry.altitudeFt : null,
+      altitudeConstraint: entry.altitudeConstraint || (Number.isFinite(entry.altitudeFt) ? 'at' : null),
+      speedKt: Number.isFinite(entry.speedKt) ? entry.speedKt : null,
+      planIndex,
+    });
+  });
+  return route;
+}
+
+// Opposite end of a runway: 12 <-> 30, 28L <-> 10R (C stays C)
+function reciprocalRunwayId(runwayId) {
+  const match = /^(\d{1,2})([LCR]?)$/.exec(runwayId);
+  if (!match) return null;
+  const number = ((Number(match[1]) + 17) % 36) + 1;
+  const side = { L: 'R', R: 'L', C: 'C' }[match[2]] ?? '';
+  return `${String(number).padStart(2, '0')}${side}`;
+}
+
+// Runway rectangle from its threshold down the heading, as [lon, lat] ring
+function runwayOutline(runway) {
+  const halfWidthNm = runway.widthFt / 2 / FT_PER_NM;
+  const end = destinationPoint(
+    runway.thresholdLat,
+    runway.thresholdLon,
+    runway.headingDeg,
+    runway.lengthFt / FT_PER_NM
+  );
+  const corners = [
+    [runway.thresholdLat, runway.thresholdLon, -90],
+    [end.lat, end.lon, -90],
+    [end.lat, end.lon, 90],
+    [runway.thresholdLat, runway.thresholdLon, 90],
+  ].map(([lat, lon, offsetDeg]) => {
+    const corner = destinationPoint(lat, lon, runway.headingDeg + offsetDeg, halfWidthNm);
+    return [corner.lon, corner.lat];
+  });
+  return [...corners, corners[0]];
+}
+
+// One entry per runway strip, named by both ends when both are in the data
+function runwayStrips(airport) {
+  const strips = [];
+  const drawn = new Set();
+  for (const runway of Object.values(airport.runways)) {
+    const reciprocal = reciprocalRunwayId(runway.id);
+    if (drawn.has(reciprocal)) continue;
+    drawn.add(runway.id);
+    const hasReciprocal = Boolean(reciprocal && airport.runways[reciprocal]);
+    strips.push({ runway, name: hasReciprocal ? `${runway.id}/${reciprocal}` : runway.id });
+  }
+  return strips;
+}
+
+/**
+ * Waypoints as points and runways as outlines for the map's navaids layer
+ * @returns {Object} GeoJSON FeatureCollection; points carry the waypoint fields (airports
+ *   also elevationFt and runways, e.g. "12/30"), polygons { airport, runway }
+ */
+export function navdataGeoJson() {
+  const airports = new Map(listAirports().map((airport) => [airport.id, airport]));
+  const features = waypoints.map((waypoint) => {
+    const airport = waypoint.type === 'airport' ? airports.get(waypoint.ident) : null;
+    const runways = airport ? runwayStrips(airport).map((strip) => strip.name) : [];
+    return {
+      type: 'Feature',
+      properties: {
+        ...waypoint,
+        ...(airport ? { elevationFt: airport.elevationFt } : {}),
+        ...(runways.length ? { runways: runways.join(', ') } : {}),
+      },
+      geometry: { type: 'Point', coordinates: [waypoint.lon, waypoint.lat] },
+    };
+  });
+
+  for (const airport of airports.values()) {
+    for (const { runway, name } of runwayStrips(airport)) {
+      features.push({
+        type: 'Feature',
+        properties: { airport: airport.id, runway: name },
+        geometry: { type: 'Polygon', coordinates: [runwayOutline(runway)] },
+      });
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
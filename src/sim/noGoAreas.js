@@ -0,0 +1,143 @@
+/**
+ * No-go area (TFR) monitoring: penetration of ADD_TFR polygons and altitude bands
+ * An area is entered when the aircraft is inside its polygon and between its
+ * minAltFt and maxAltFt. The look-ahead projects the present ground track, ground
+ * speed and vertical speed ahead (like taws.js) and warns when that path enters an
+ * area within 120 s. Positions are lat/lon, polygons [lon, lat] rings as in the
+ * scenario JSON and the request schema's constraints.noGoAreas.
+ */
+
+import { destinationPoint, pointInPolygon } from './geo.js';
+
+const LOOKAHEAD_SEC = 120;
+const LOOKAHEAD_STEP_SEC = 1; // Small TFRs are a few tenths of a mile across
+
+/**
+ * @param {Object} area - { polygon, minAltFt, maxAltFt }
+ */
+export function isInsideArea(area, lat, lon, altitudeFt) {
+  if (!Array.isArray(area?.polygon) || area.polygon.length < 3) return false;
+  const minAltFt = Number.isFinite(area.minAltFt) ? area.minAltFt : -Infinity;
+  const maxAltFt = Number.isFinite(area.maxAltFt) ? area.maxAltFt : Infinity;
+  return (
+    altitudeFt >= minAltFt && altitudeFt <= maxAltFt && pointInPolygon(lat, lon, area.polygon)
+  );
+}
+
+/**
+ * Seconds until the present track enters the area; 0 when inside, null when it does not
+ * @param {Object} state - { lat, lon, altitudeFt, trackDeg, groundspeedKt, vsFpm }
+ */
+export function secondsToEntry(area, state, lookaheadSec = LOOKAHEAD_SEC) {
+  for (let t = 0; t <= lookaheadSec; t += LOOKAHEAD_STEP_SEC) {
+    const point =
+      t === 0
+        ? state
+        : destinationPoint(state.lat, state.lon, state.trackDeg, (state.groundspeedKt * t) / 3600);
+    const altitudeFt = state.altitudeFt + (state.vsFpm * t) / 60;
+    if (isInsideArea(area, point.lat, point.lon, altitudeFt)) return t;
+  }
+  return null;
+}
+
+/**
+ * Tracks entries, exits and predicted penetrations across updates
+ * @param {Object} [options]
+ * @param {number} [options.lookaheadSec]
+ * @returns {Object} Monitor with update(simTimeSeconds, state, areas), getStatus(),
+ *   getViolations() and reset()
+ */
+export function createNoGoMonitor({ lookaheadSec = LOOKAHEAD_SEC } = {}) {
+  const open = new Map(); // area id -> open violation
+  const predicted = new Map(); // area id -> seconds to entry last reported
+  let violations = [];
+  let status = { inside: [], nextEntry: null };
+
+  function closeViolation(id, simTimeSeconds, events) {
+    const violation = open.get(id);
+    if (!violation) return;
+    violation.exitSec = simTimeSeconds;
+    open.delete(id);
+    events.push({ type: 'exited', simTimeSeconds, violation: { ...violation } });
+  }
+
+  /**
+   * @param {number} simTimeSeconds
+   * @param {Object} state - { lat, lon, altitudeFt, trackDeg, groundspeedKt, vsFpm }
+   * @param {Array<Object>} areas - constraints.noGoAreas: { id, name, polygon, minAltFt, maxAltFt }
+   * @returns {Array<Object>} Events: predicted (onset, with secondsToEntry), entered and
+   *   exited (with the violation: { areaId, name, entrySec, exitSec })
+   */
+  function update(simTimeSeconds, state, areas) {
+    const events = [];
+    const inside = [];
+    let nextEntry = null;
+
+    for (const area of areas) {
+      const seconds = secondsToEntry(area, state, lookaheadSec);
+      if (seconds === 0) {
+        inside.push({ id: area.id, name: area.name });
+        predicted.delete(area.id);
+        if (!open.has(area.id)) {
+          const violation = { areaId: area.id, name: area.name, entrySec: simTimeSeconds, exitSec: null };
+          open.set(area.id, violation);
+          violations.push(violation);
+          events.push({ type: 'entered', simTimeSeconds, violation: { ...violation } });
+        }
+        continue;
+      }
+
+      closeViolation(area.id, simTimeSeconds, events);
+      if (seconds === null) {
+        predicted.delete(area.id);
+        continue;
+      }
+      if (!predicted.has(area.id)) {
+        events.push({
+          type: 'predicted',
+          simTimeSeconds,
+          areaId: area.id,
+          name: area.name,
+          secondsToEntry: seconds,
+        });
+      }
+      predicted.set(area.id, seconds);
+      if (!nextEntry || seconds < nextEntry.secondsToEntry) {
+        nextEntry = { id: area.id, name: area.name, secondsToEntry: seconds };
+      }
+    }
+
+    // Areas removed while inside or predicted
+    const listed = new Set(areas.map((area) => area.id));
+    for (const id of [...open.keys()]) {
+      if (!listed.has(id)) closeViolation(id, simTimeSeconds, events);
+    }
+    for (const id of [...predicted.keys()]) {
+      if (!listed.has(id)) predicted.delete(id);
+    }
+
+    status = { inside, nextEntry };
+    return events;
+  }
+
+  return {
+    update,
+
+    // { inside: [{ id, name }], nextEntry: { id, name, secondsToEntry } | null }
+    getStatus() {
+      return { inside: [...status.inside], nextEntry: status.nextEntry && { ...status.nextEntry } };
+    },
+
+    // Every penetration so far: { areaId, name, entrySec, exitSec (null while inside) }
+    getViolations() {
+      return violations.map((violation) => ({ ...violation }));
+    },
+
+    reset() {
+      open.clear();
+      predicted.clear();
+      violations = [];
+      status = { inside: [], nextEntry: null };
+    },
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Airport and runway data lookup
+ * Data lives in data/airports.json. Headings and courses are TRUE, like every
+ * heading in the sim; ILS `publishedCourseDeg` keeps the magnetic course from the
+ * approach plate for display (KOAK ILS 30: 296° magnetic ≈ 309° true).
+ */
+
+import airportData from '../../data/airports.json' with { type: 'json' };
+import { destinationPoint } from './geo.js';
+
+const FT_PER_NM = 6076.12;
+const LINE_UP_DISTANCE_FT = 150; // Lined up this far past the threshold
+
+// Traffic pattern (see trafficPatternRoute)
+const PATTERN_HEIGHT_FT = 1000; // Pattern altitude above the field
+const PATTERN_OFFSET_NM = 1; // Downwind abeam the runway
+const PATTERN_UPWIND_NM = 0.5; // Crosswind turn past the departure end
+const PATTERN_FINAL_NM = 1; // Base-to-final turn before the threshold
+const PATTERN_FINAL_HEIGHT_FT = 400; // Height at the final turn
+const PATTERN_LOW_APPROACH_FT = 200; // Height over the threshold before climbing out
+const PATTERN_LEGS = ['upwind', 'crosswind', 'downwind', 'base', 'final'];
+
+function buildRunway(airportId, runwayId, data) {
+  for (const field of ['thresholdLat', 'thresholdLon', 'elevationFt', 'headingDeg']) {
+    if (!Number.isFinite(data[field])) {
+      throw new Error(`Runway ${airportId} ${runwayId} is missing numeric field "${field}"`);
+    }
+  }
+  return Object.freeze({
+    airport: airportId,
+    id: runwayId,
+    thresholdLat: data.thresholdLat,
+    thresholdLon: data.thresholdLon,
+    elevationFt: data.elevationFt,
+    headingDeg: data.headingDeg,
+    lengthFt: data.lengthFt ?? 8000,
+    widthFt: data.widthFt ?? 150,
+    ils: data.ils
+      ? Object.freeze({
+          ident: data.ils.ident ?? null,
+          frequencyMHz: data.ils.frequencyMHz ?? null,
+          courseDeg: data.headingDeg, // Localizer runs down the extended centerline
+          publishedCourseDeg: data.ils.publishedCourseDeg ?? null,
+          glideslopeDeg: data.ils.glideslopeDeg ?? 3,
+          thresholdCrossingHeightFt: data.ils.thresholdCrossingHeightFt ?? 50,
+          decisionAltitudeFt: data.ils.decisionAltitudeFt ?? null,
+          interceptAltitudeFt: data.ils.interceptAltitudeFt ?? null,
+          // Published missed approach: climb to altitudeFt, then the route's fixes
+          missedApproach: data.ils.missedApproach
+            ? Object.freeze({
+                altitudeFt: data.ils.missedApproach.altitudeFt ?? null,
+                route: Object.freeze([...(data.ils.missedApproach.route ?? [])]),
+              })
+            : null,
+        })
+      : null,
+  });
+}
+
+const airports = Object.freeze(
+  Object.fromEntries(
+    Object.entries(airportData).map(([airportId, airport]) => [
+      airportId,
+      Object.freeze({
+        id: airportId,
+        name: airport.name || airportId,
+        lat: airport.lat ?? null, // Airport reference point
+        lon: airport.lon ?? null,
+        elevationFt: airport.elevationFt ?? 0,
+        runways: Object.freeze(
+          Object.fromEntries(
+            Object.entries(airport.runways || {}).map(([runwayId, runway]) => [
+              runwayId,
+              buildRunway(airportId, runwayId, runway),
+            ])
+          )
+        ),
+      }),
+    ])
+  )
+);
+
+export function listAirports() {
+  return Object.values(airports);
+}
+
+export function getAirport(airportId) {
+  return airports[String(airportId || '').toUpperCase()] ?? null;
+}
+
+/**
+ * @param {string} airportId - ICAO id, e.g. 'KOAK'
+ * @param {string} runwayId - e.g. '30'
+ * @returns {Object|null} Frozen runway or null when unknown
+ */
+export function getRunway(airportId, runwayId) {
+  const airport = getAirport(airportId);
+  if (!airport) return null;
+  return airport.runways[String(runwayId ?? '').toUpperCase()] ?? null;
+}
+
+function resolveScenarioRunway(reference, role) {
+  if (!reference) return null;
+  const runway = getRunway(reference.airport, reference.runway);
+  if (!runway) {
+    console.warn(
+      `[Runways] Unknown ${role} runway ${reference.airport} ${reference.runway}`
+    );
+  }
+  return runway;
+}
+
+/**
+ * Resolves a scenario `approach` block ({ airport, runway })
+ * Unknown references warn and return null so the scenario still runs without an ILS.
+ */
+export function resolveApproachRunway(approach) {
+  return resolveScenarioRunway(approach, 'approach');
+}
+
+/**
+ * Resolves a scenario `departure` block ({ airport, runway }), the runway a
+ * `startState.linedUp` scenario starts on
+ */
+export function resolveDepartureRunway(departure) {
+  return resolveScenarioRunway(departure, 'departure');
+}
+
+/**
+ * Start state lined up at rest on a runway, a little past the threshold
+ * @returns {Object} { lat, lon, altitudeFt, headingDeg, groundspeedKt: 0, vsFpm: 0 }
+ */
+export function linedUpStartState(runway) {
+  const { lat, lon } = destinationPoint(
+    runway.thresholdLat,
+    runway.thresholdLon,
+    runway.headingDeg,
+    LINE_UP_DISTANCE_FT / FT_PER_NM
+  );
+  return {
+    lat,
+    lon,
+    altitudeFt: runway.elevationFt,
+    headingDeg: runway.headingDeg,
+    groundspeedKt: 0,
+    vsFpm: 0,
+  };
+}
+
+/**
+ * Closed traffic around a runway as route waypoints (navdata resolveFlightPlan format)
+ * Circuits are flown 1 NM abeam at pattern altitude and end in low approaches:
+ * each lap descends to 200 ft over the threshold and climbs out again. The
+ * route starts with the `entry` leg and ends on the upwind after the last lap.
+ * @param {Object} runway - From getRunway
+ * @param {Object} [options] - { direction: 'left' | 'right', entry: upwind | crosswind |
+ *   downwind | base | final, altitudeFt (default 1,000 ft above the field), laps,
+ *   downwindSpeedKt, finalSpeedKt }
+ */
+export function trafficPatternRoute(runway, options = {}) {
+  const {
+    direction = 'left',
+    entry = 'downwind',
+    altitudeFt = null,
+    laps = 1,
+    downwindSpeedKt = null,
+    finalSpeedKt = null,
+  } = options;
+  const courseDeg = runway.headingDeg;
+  const sideDeg = courseDeg + (direction === 'right' ? 90 : -90);
+  const patternFt = Number.isFinite(altitudeFt)
+    ? altitudeFt
+    : Math.round((runway.elevationFt + PATTERN_HEIGHT_FT) / 100) * 100;
+  const threshold = { lat: runway.thresholdLat, lon: runway.thresholdLon };
+  const along = (point, bearingDeg, distanceNm) =>
+    destinationPoint(point.lat, point.lon, bearingDeg, distanceNm);
+
+  const upwindEnd = along(threshold, courseDeg, runway.lengthFt / FT_PER_NM + PATTERN_UPWIND_NM);
+  const finalTurn = along(threshold, courseDeg + 180, PATTERN_FINAL_NM);
+  const point = (name, position, altitude, speedKt) => ({
+    ident: null,
+    name: `${runway.airport} ${runway.id} ${name}`,
+    lat: position.lat,
+    lon: position.lon,
+    altitudeFt: altitude,
+    altitudeConstraint: 'at',
+    speedKt,
+  });
+  // Start of each leg, in circuit order (upwind starts at the threshold)
+  const circuit = [
+    point('threshold', threshold, runway.elevationFt + PATTERN_LOW_APPROACH_FT, finalSpeedKt),
+    point('crosswind', upwindEnd, patternFt, downwindSpeedKt),
+    point('downwind', along(upwindEnd, sideDeg, PATTERN_OFFSET_NM), patternFt, downwindSpeedKt),
+    point('base', along(finalTurn, sideDeg, PATTERN_OFFSET_NM), patternFt, downwindSpeedKt),
+    point('final', finalTurn, runway.elevationFt + PATTERN_FINAL_HEIGHT_FT, finalSpeedKt),
+  ];
+
+  const entryIndex = Math.max(0, PATTERN_LEGS.indexOf(entry));
+  const route = [...circuit.slice(entryIndex), circuit[0]];
+  for (let lap = 1; lap < Math.max(1, laps); lap++) route.push(...circuit.slice(1), circuit[0]);
+  route.push(circuit[1]); // Climb out on the upwind
+  return route;
+}
+
+/**
+ * Runway summary for the pilot request (request schema `runway`)
+ */
+export function describeRunway(runway) {
+  const summary = {
+    airport: runway.airport,
+    id: runway.id,
+    headingDeg: runway.headingDeg,
+    elevationFt: runway.elevationFt,
+  };
+  if (runway.ils) {
+    summary.ils = {
+      ident: runway.ils.ident,
+      courseDeg: runway.ils.courseDeg,
+      glideslopeDeg: runway.ils.glideslopeDeg,
+      decisionAltitudeFt: runway.ils.decisionAltitudeFt,
+      missedApproachAltitudeFt: runway.ils.missedApproach?.altitudeFt ?? null,
+    };
+  }
+  return summary;
+}
@@ -18,9 +18,9 @@ export function createScenarioRunner(callbacks = {}) {
   const currentEventIndex = ref(0);
   const isRunning = ref(false);
 
-  let startTimestamp = 0;
-  let pauseOffsetMs = 0;
-  let rafId = null;
+  // Timeline follows simulated time: the sim loop feeds it through advance(),
+  // so pauses, frame drops and sim-rate changes keep both clocks together.
+  let elapsedSeconds = 0;
   let nextEventPointer = 0;
 
   function resetEventStatuses() {
@@ -40,8 +40,7 @@ export function createScenarioRunner(callbacks = {}) {
     duration.value = computeDurationSeconds(scenario);
     resetEventStatuses();
     elapsed.value = 0;
-    pauseOffsetMs = 0;
-    startTimestamp = 0;
+    elapsedSeconds = 0;
     isRunning.value = false;
     if (callbacks.onLoad) {
       callbacks.onLoad({ scenario, duration: duration.value });
@@ -67,9 +66,18 @@ export function createScenarioRunner(callbacks = {}) {
       case 'ADD_TRAFFIC':
         callbacks.onAddTraffic?.(event.traffic);
         break;
+      case 'UPDATE_TRAFFIC':
+        callbacks.onUpdateTraffic?.(event.traffic);
+        break;
+      case 'REPLAY_TRAFFIC':
+        callbacks.onReplayTraffic?.(event);
+        break;
       case 'REMOVE_TRAFFIC':
         callbacks.onRemoveTraffic?.(event.trafficId ?? event.id);
         break;
+      case 'SET_WIND':
+        callbacks.onSetWind?.(event.wind ?? null, event);
+        break;
       case 'NOTE':
         callbacks.onNote?.(event);
         break;
@@ -92,10 +100,12 @@ export function createScenarioRunner(callbacks = {}) {
     updateCurrentEventIndex();
   }
 
-  function tick(now) {
+  // Move the timeline forward by dtSeconds of simulated time
+  function advance(dtSeconds) {
     if (!isRunning.value) return;
-    const nowMs = typeof now === 'number' ? now : performance.now();
-    const elapsedSeconds = (nowMs - startTimestamp) / 1000;
+    if (!(dtSeconds > 0)) return;
+
+    elapsedSeconds += dtSeconds;
     elapsed.value = elapsedSeconds;
 
     callbacks.onTick?.(elapsedSeconds, duration.value);
@@ -104,38 +114,29 @@ export function createScenarioRunner(callbacks = {}) {
     if (elapsedSeconds >= duration.value) {
       pause();
       callbacks.onComplete?.();
-      return;
     }
-
-    rafId = requestAnimationFrame(tick);
   }
 
   function start() {
     if (!activeScenario.value) return;
     if (isRunning.value) return;
 
-    startTimestamp = performance.now() - pauseOffsetMs;
     isRunning.value = true;
-    rafId = requestAnimationFrame(tick);
+    // Fire anything scheduled at the current time (e.g. t=0 events) right away
+    processEvents(elapsedSeconds);
     callbacks.onStart?.();
   }
 
   function pause() {
     if (!isRunning.value) return;
     isRunning.value = false;
-    pauseOffsetMs = performance.now() - startTimestamp;
-    if (rafId) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
     callbacks.onPause?.();
   }
 
   function reset() {
     pause();
-    pauseOffsetMs = 0;
+    elapsedSeconds = 0;
     elapsed.value = 0;
-    startTimestamp = 0;
     resetEventStatuses();
     callbacks.onReset?.();
   }
@@ -156,6 +157,7 @@ export function createScenarioRunner(callbacks = {}) {
     start,
     pause,
     reset,
+    advance,
     getState,
     state: {
       activeScenario,
@@ -0,0 +1,65 @@
+/**
+ * Terrain awareness: height above terrain and TAWS-style look-ahead alerts
+ * Projects the present ground velocity and vertical speed ahead and compares
+ * the predicted altitude with the terrain under each point:
+ *   caution - clearance below 300 ft within 60 s ("TERRAIN AHEAD")
+ *   warning - clearance below 100 ft within 30 s ("TERRAIN AHEAD, PULL UP")
+ * Local coordinates as in flightModel.js (x = east m, y = south m); the terrain
+ * comes in as elevationAt(x, y) => meters MSL | null (see terrain.js).
+ */
+
+export const TERRAIN_ALERTS = Object.freeze(['caution', 'warning']);
+
+const M_TO_FT = 3.28084;
+
+const CAUTION_LOOKAHEAD_SEC = 60;
+const WARNING_LOOKAHEAD_SEC = 30;
+const CAUTION_CLEARANCE_FT = 300;
+const WARNING_CLEARANCE_FT = 100;
+const LOOKAHEAD_STEP_SEC = 5;
+
+/**
+ * @param {Object} state - { x, y, altitudeFt, groundEastMps, groundNorthMps, verticalSpeedFpm }
+ * @param {Function} elevationAt - (x, y) => terrain meters MSL | null
+ * @param {Object} [options]
+ * @param {boolean} [options.inhibitAlerts] - On a captured glidepath or on the runway
+ * @returns {{elevationFt: number|null, aglFt: number|null, alert: string|null,
+ *   secondsToConflict: number|null}}
+ */
+export function assessTerrain(state, elevationAt, { inhibitAlerts = false } = {}) {
+  const elevationM = elevationAt(state.x, state.y);
+  const elevationFt = Number.isFinite(elevationM) ? elevationM * M_TO_FT : null;
+  const status = {
+    elevationFt,
+    aglFt: elevationFt === null ? null : state.altitudeFt - elevationFt,
+    alert: null,
+    secondsToConflict: null,
+  };
+  if (inhibitAlerts) return status;
+
+  for (let t = 0; t <= CAUTION_LOOKAHEAD_SEC; t += LOOKAHEAD_STEP_SEC) {
+    const terrainM = elevationAt(
+      state.x + state.groundEastMps * t,
+      state.y - state.groundNorthMps * t
+    );
+    if (!Number.isFinite(terrainM)) continue;
+    const predictedFt = state.altitudeFt + (state.verticalSpeedFpm * t) / 60;
+    const clearanceFt = predictedFt - terrainM * M_TO_FT;
+    if (t <= WARNING_LOOKAHEAD_SEC && clearanceFt < WARNING_CLEARANCE_FT) {
+      status.alert = 'warning';
+      status.secondsToConflict = t;
+      return status;
+    }
+    if (!status.alert && clearanceFt < CAUTION_CLEARANCE_FT) {
+      status.alert = 'caution';
+      status.secondsToConflict = t;
+    }
+  }
+  return status;
+}
+
+// Height of the terrain under a local point in meters, sea level when unknown
+export function groundElevationMeters(elevationAt, x, y) {
+  const elevationM = elevationAt?.(x, y);
+  return Number.isFinite(elevationM) ? Math.max(0, elevationM) : 0;
+}
@@ -0,0 +1,279 @@
+/**
+ * TCAS II-style collision avoidance for the ownship
+ * Range and vertical tau (distance / closure rate) against the sensitivity level's
+ * thresholds, after the TCAS II v7.1 tables:
+ *   TA (traffic advisory)    - "TRAFFIC, TRAFFIC"
+ *   RA (resolution advisory) - vertical only: climb, descend or maintain vertical speed
+ * The RA sense is picked once by projecting both aircraft to the closest approach:
+ * keep the present vertical speed when that already gives ALIM (the RA's altitude
+ * margin) without crossing the intruder's altitude, otherwise climb or descend at
+ * 1,500 fpm (the profile's limit if lower), preferring the sense that does not cross.
+ * It holds until no intruder meets the RA thresholds ("CLEAR OF CONFLICT").
+ * Below 1,000 ft AGL only TAs are issued, and no descend RA below 1,100 ft AGL.
+ * Traffic comes from createTrafficTracker (conflictProbe.js); local coordinates as in
+ * flightModel.js (x = east m, y = south m), altitudes ft MSL.
+ */
+
+export const TCAS_ADVISORIES = Object.freeze(['TA', 'RA']);
+export const RA_SENSES = Object.freeze(['climb', 'descend', 'maintain']);
+
+const NM_TO_M = 1852;
+const RA_RATE_FPM = 1500;
+const RESPONSE_DELAY_SEC = 5; // Pilot reaction to a new RA
+const LEVEL_FPM = 300; // Vertical speeds inside this count as level
+const RA_INHIBIT_AGL_FT = 1000;
+const DESCEND_INHIBIT_AGL_FT = 1100;
+
+// Sensitivity levels by altitude: tau (s), DMOD (NM), ZTHR (ft), ALIM (ft)
+const SENSITIVITY_LEVELS = [
+  { level: 2, maxAltitudeFt: 1000, ta: { tauSec: 20, dmodNm: 0.3, zthrFt: 850 }, ra: null },
+  {
+    level: 3,
+    maxAltitudeFt: 2350,
+    ta: { tauSec: 25, dmodNm: 0.33, zthrFt: 850 },
+    ra: { tauSec: 15, dmodNm: 0.2, zthrFt: 600, alimFt: 300 },
+  },
+  {
+    level: 4,
+    maxAltitudeFt: 5000,
+    ta: { tauSec: 30, dmodNm: 0.48, zthrFt: 850 },
+    ra: { tauSec: 20, dmodNm: 0.35, zthrFt: 600, alimFt: 300 },
+  },
+  {
+    level: 5,
+    maxAltitudeFt: 10000,
+    ta: { tauSec: 40, dmodNm: 0.75, zthrFt: 850 },
+    ra: { tauSec: 25, dmodNm: 0.55, zthrFt: 600, alimFt: 350 },
+  },
+  {
+    level: 6,
+    maxAltitudeFt: 20000,
+    ta: { tauSec: 45, dmodNm: 1.0, zthrFt: 850 },
+    ra: { tauSec: 30, dmodNm: 0.8, zthrFt: 600, alimFt: 400 },
+  },
+  {
+    level: 7,
+    maxAltitudeFt: Infinity,
+    ta: { tauSec: 48, dmodNm: 1.3, zthrFt: 850 },
+    ra: { tauSec: 35, dmodNm: 1.1, zthrFt: 700, alimFt: 600 },
+  },
+];
+
+const CALLOUTS = {
+  TA: 'TRAFFIC, TRAFFIC',
+  climb: 'CLIMB, CLIMB',
+  descend: 'DESCEND, DESCEND',
+  maintain: 'MAINTAIN VERTICAL SPEED, MAINTAIN',
+  level: 'MONITOR VERTICAL SPEED',
+  clear: 'CLEAR OF CONFLICT',
+};
+
+// SL2 and SL3 go by height above the ground, the rest by altitude
+function sensitivityLevel(altitudeFt, aglFt) {
+  const heightFt = Number.isFinite(aglFt) && aglFt < 2350 ? aglFt : altitudeFt;
+  return SENSITIVITY_LEVELS.find((sl) => heightFt < sl.maxAltitudeFt);
+}
+
+/**
+ * Range and vertical geometry of one intruder
+ * @returns {{rangeNm, closureKt, rangeTauSec, relativeAltitudeFt, verticalTauSec,
+ *   timeToCpaSec}} relativeAltitudeFt > 0 = intruder above; taus are null when not closing
+ */
+export function intruderGeometry(ownship, intruder) {
+  const east = intruder.x - ownship.x;
+  const north = ownship.y - intruder.y;
+  const velocityEast = intruder.groundEastMps - ownship.groundEastMps;
+  const velocityNorth = intruder.groundNorthMps - ownship.groundNorthMps;
+  const rangeM = Math.hypot(east, north);
+  const closureMps = rangeM > 0 ? -(east * velocityEast + north * velocityNorth) / rangeM : 0;
+  const speedSq = velocityEast * velocityEast + velocityNorth * velocityNorth;
+
+  const relativeAltitudeFt = intruder.altitudeFt - ownship.altitudeFt;
+  const verticalClosureFpm =
+    -Math.sign(relativeAltitudeFt) * (intruder.verticalSpeedFpm - ownship.verticalSpeedFpm);
+
+  return {
+    rangeNm: rangeM / NM_TO_M,
+    closureKt: closureMps * 1.943844,
+    rangeTauSec: closureMps > 0 ? rangeM / closureMps : null,
+    relativeAltitudeFt,
+    verticalTauSec:
+      verticalClosureFpm > 0 ? (Math.abs(relativeAltitudeFt) / verticalClosureFpm) * 60 : null,
+    timeToCpaSec:
+      speedSq > 0 ? Math.max(0, -(east * velocityEast + north * velocityNorth) / speedSq) : 0,
+  };
+}
+
+// Range and vertical tests against one set of thresholds (TA or RA)
+function meetsThresholds(geometry, thresholds) {
+  const rangeTest =
+    geometry.rangeNm < thresholds.dmodNm ||
+    (geometry.rangeTauSec !== null && geometry.rangeTauSec <= thresholds.tauSec);
+  const verticalTest =
+    Math.abs(geometry.relativeAltitudeFt) < thresholds.zthrFt ||
+    (geometry.verticalTauSec !== null && geometry.verticalTauSec <= thresholds.tauSec);
+  return rangeTest && verticalTest;
+}
+
+/**
+ * RA sense against one intruder: own altitude minus the intruder's at the closest
+ * approach for each sense, with the pilot's response delay
+ * @returns {{sense: string, rateFpm: number, separationFt: number}}
+ */
+function selectSense(ownship, intruder, geometry, { alimFt, climbRateFpm, descendAllowed }) {
+  const t = geometry.timeToCpaSec;
+  const intruderAtCpaFt = intruder.altitudeFt + (intruder.verticalSpeedFpm * t) / 60;
+  const ownAtCpa = (rateFpm) => {
+    const delay = Math.min(t, RESPONSE_DELAY_SEC);
+    return (
+      ownship.altitudeFt +
+      (ownship.verticalSpeedFpm * delay) / 60 +
+      (rateFpm * Math.max(0, t - delay)) / 60
+    );
+  };
+  const above = ownship.altitudeFt >= intruder.altitudeFt;
+
+  // Present vertical speed already clear and not crossing
+  const presentFt = ownAtCpa(ownship.verticalSpeedFpm) - intruderAtCpaFt;
+  if ((above ? presentFt : -presentFt) >= alimFt) {
+    return { sense: 'maintain', rateFpm: ownship.verticalSpeedFpm, separationFt: Math.abs(presentFt) };
+  }
+
+  const climbFt = ownAtCpa(climbRateFpm) - intruderAtCpaFt;
+  const descendFt = intruderAtCpaFt - ownAtCpa(-RA_RATE_FPM);
+  const climb = { sense: 'climb', rateFpm: climbRateFpm, separationFt: climbFt };
+  const descend = { sense: 'descend', rateFpm: -RA_RATE_FPM, separationFt: descendFt };
+  if (!descendAllowed) return climb;
+  const nonCrossing = above ? climb : descend;
+  if (nonCrossing.separationFt >= alimFt) return nonCrossing;
+  return climbFt >= descendFt ? climb : descend;
+}
+
+// Vertical speed band the RA allows (fpm; null = open on that side)
+function resolutionBand(sense, rateFpm, intruderAbove) {
+  if (sense === 'climb') return { minFpm: rateFpm, maxFpm: null };
+  if (sense === 'descend') return { minFpm: null, maxFpm: rateFpm };
+  if (Math.abs(rateFpm) < LEVEL_FPM) {
+    // Level: do not climb or descend toward the intruder
+    return intruderAbove ? { minFpm: null, maxFpm: 0 } : { minFpm: 0, maxFpm: null };
+  }
+  return rateFpm > 0 ? { minFpm: rateFpm, maxFpm: null } : { minFpm: null, maxFpm: rateFpm };
+}
+
+/**
+ * @returns {Object} TCAS with update(simTimeSeconds, ownship, traffic), getStatus() and reset()
+ */
+export function createTcas() {
+  let advisories = []; // Intruders with a TA or RA, RA first then closest
+  let resolution = null; // Active RA
+  const taReported = new Set(); // Intruders whose TA has been announced
+  let compliance = null; // { samples, compliant } while an RA is active
+
+  function complies(verticalSpeedFpm) {
+    const { minFpm, maxFpm } = resolution;
+    const toleranceFpm = LEVEL_FPM;
+    return (
+      (minFpm === null || verticalSpeedFpm >= minFpm - toleranceFpm) &&
+      (maxFpm === null || verticalSpeedFpm <= maxFpm + toleranceFpm)
+    );
+  }
+
+  /**
+   * @param {number} simTimeSeconds
+   * @param {Object} ownship - { x, y, altitudeFt, aglFt, groundEastMps, groundNorthMps,
+   *   verticalSpeedFpm, maxClimbFpm }
+   * @param {Array<Object>} traffic - Tracked contacts (createTrafficTracker)
+   * @returns {Array<Object>} Events: TA (per intruder), RA (new or changed sense) and
+   *   clear, each with simTimeSeconds and callout; clear has the RA's compliance
+   */
+  function update(simTimeSeconds, ownship, traffic) {
+    const events = [];
+    const sl = sensitivityLevel(ownship.altitudeFt, ownship.aglFt);
+    const raAllowed = sl.ra !== null && !(Number.isFinite(ownship.aglFt) && ownship.aglFt < RA_INHIBIT_AGL_FT);
+
+    advisories = [];
+    let threat = null;
+    for (const intruder of traffic) {
+      const geometry = intruderGeometry(ownship, intruder);
+      const ra = raAllowed && meetsThresholds(geometry, sl.ra);
+      if (!ra && !meetsThresholds(geometry, sl.ta)) {
+        taReported.delete(intruder.id);
+        continue;
+      }
+      const advisory = { trafficId: intruder.id, level: ra ? 'RA' : 'TA', ...geometry };
+      advisories.push(advisory);
+      if (ra && (!threat || geometry.rangeNm < threat.geometry.rangeNm)) {
+        threat = { intruder, geometry };
+      }
+      if (!taReported.has(intruder.id)) {
+        taReported.add(intruder.id);
+        if (!ra && !resolution) {
+          events.push({ type: 'TA', trafficId: intruder.id, simTimeSeconds, callout: CALLOUTS.TA, advisory });
+        }
+      }
+    }
+    advisories.sort((a, b) => (a.level === b.level ? a.rangeNm - b.rangeNm : a.level === 'RA' ? -1 : 1));
+
+    if (threat && !resolution) {
+      // New RA: the sense stays until clear of conflict
+      const choice = selectSense(ownship, threat.intruder, threat.geometry, {
+        alimFt: sl.ra.alimFt,
+        climbRateFpm: Math.min(RA_RATE_FPM, ownship.maxClimbFpm ?? RA_RATE_FPM),
+        descendAllowed: !(Number.isFinite(ownship.aglFt) && ownship.aglFt < DESCEND_INHIBIT_AGL_FT),
+      });
+      const intruderAbove = threat.geometry.relativeAltitudeFt > 0;
+      const band = resolutionBand(choice.sense, choice.rateFpm, intruderAbove);
+      const level = choice.sense === 'maintain' && Math.abs(choice.rateFpm) < LEVEL_FPM;
+      resolution = {
+        trafficId: threat.intruder.id,
+        sense: choice.sense,
+        callout: level ? CALLOUTS.level : CALLOUTS[choice.sense],
+        ...band,
+        startSec: simTimeSeconds,
+      };
+      compliance = { samples: 0, compliant: 0 };
+      events.push({ type: 'RA', simTimeSeconds, ...resolution });
+    } else if (threat) {
+      resolution.trafficId = threat.intruder.id;
+    } else if (resolution) {
+      const followedPercent = compliance.samples
+        ? Math.round((compliance.compliant / compliance.samples) * 100)
+        : null;
+      events.push({
+        type: 'clear',
+        simTimeSeconds,
+        callout: CALLOUTS.clear,
+        resolution: { ...resolution, endSec: simTimeSeconds, followedPercent },
+      });
+      resolution = null;
+      compliance = null;
+    }
+
+    // Compliance after the pilot's reaction time
+    if (resolution && simTimeSeconds - resolution.startSec >= RESPONSE_DELAY_SEC) {
+      compliance.samples += 1;
+      if (complies(ownship.verticalSpeedFpm)) compliance.compliant += 1;
+    }
+    return events;
+  }
+
+  return {
+    update,
+
+    // { advisory: 'TA' | 'RA' | null, resolution: active RA | null, intruders: advisories }
+    getStatus() {
+      return {
+        advisory: resolution ? 'RA' : (advisories[0]?.level ?? null),
+        resolution: resolution ? { ...resolution } : null,
+        intruders: advisories.map((advisory) => ({ ...advisory })),
+      };
+    },
+
+    reset() {
+      advisories = [];
+      resolution = null;
+      compliance = null;
+      taReported.clear();
+    },
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Terrain elevation providers
+ * A provider answers getElevationMeters(lat, lon) synchronously with meters
+ * MSL, or null while that spot is not loaded yet, so the fixed-step sim never
+ * waits on the network. The tile provider decodes Mapbox terrain-RGB DEM tiles
+ * into a small in-memory cache; the flat and synthetic providers stand in for
+ * headless runs and tests. Water is reported as sea level (0 m).
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const NM_TO_M = 1852;
+const EARTH_RADIUS_M = 6371008.8;
+
+export const DEM_TILE_ZOOM = 12; // ~30 m per pixel at Bay Area latitudes (256 px tiles)
+const DEFAULT_MAX_TILES = 64;
+const TILE_RETRY_MS = 30000; // A failed tile is requested again after this long
+
+const tileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+// Web Mercator position in tiles at a zoom level (fractional)
+function tileCoordinates(lat, lon, zoom) {
+  const scale = 2 ** zoom;
+  const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * DEG_TO_RAD;
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale,
+  };
+}
+
+// Bilinear sample inside one tile; edges clamp to the tile
+function sampleTile(tile, fx, fy) {
+  const { size, elevations } = tile;
+  const px = Math.max(0, Math.min(size - 1, fx * size - 0.5));
+  const py = Math.max(0, Math.min(size - 1, fy * size - 0.5));
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(size - 1, x0 + 1);
+  const y1 = Math.min(size - 1, y0 + 1);
+  const tx = px - x0;
+  const ty = py - y0;
+  const top = elevations[y0 * size + x0] * (1 - tx) + elevations[y0 * size + x1] * tx;
+  const bottom =
+    elevations[y1 * size + x0] * (1 - tx) + elevations[y1 * size + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+export function createFlatTerrain(elevationMeters = 0) {
+  return {
+    getElevationMeters() {
+      return elevationMeters;
+    },
+    prefetch() {},
+  };
+}
+
+/**
+ * Smooth hills on a flat base, for headless runs and tests
+ * @param {Object} [options]
+ * @param {number} [options.baseElevationMeters=0]
+ * @param {Array<{lat, lon, heightMeters, radiusNm}>} [options.hills] - Gaussian hills;
+ *   radiusNm is where a hill has fallen to about 60% of its height
+ */
+export function createSyntheticTerrain({ baseElevationMeters = 0, hills = [] } = {}) {
+  return {
+    getElevationMeters(lat, lon) {
+      let elevation = baseElevationMeters;
+      for (const hill of hills) {
+        const dNorth = (lat - hill.lat) * DEG_TO_RAD * EARTH_RADIUS_M;
+        const dEast =
+          (lon - hill.lon) * DEG_TO_RAD * EARTH_RADIUS_M * Math.cos(hill.lat * DEG_TO_RAD);
+        const radiusM = hill.radiusNm * NM_TO_M;
+        const distanceSquared = dNorth * dNorth + dEast * dEast;
+        elevation += hill.heightMeters * Math.exp(-distanceSquared / (2 * radiusM * radiusM));
+      }
+      return Math.max(0, elevation);
+    },
+    prefetch() {},
+  };
+}
+
+/**
+ * DEM tiles behind a least-recently-used cache
+ * Lookups never block: a missing tile is requested and the lookup returns null
+ * until it arrives.
+ * @param {Object} options
+ * @param {Function} options.loadTile - (z, x, y) => Promise<{ size, elevations: Float32Array }>
+ *   with size x size elevations (m MSL), row by row from the north-west corner
+ * @param {number} [options.zoom=DEM_TILE_ZOOM]
+ * @param {number} [options.maxTiles=64]
+ */
+export function createTileTerrain({
+  loadTile,
+  zoom = DEM_TILE_ZOOM,
+  maxTiles = DEFAULT_MAX_TILES,
+}) {
+  const tiles = new Map(); // key -> { status: 'loading' | 'ready' | 'error', tile, failedAt }
+
+  function requestTile(z, x, y) {
+    const key = tileKey(z, x, y);
+    const entry = tiles.get(key);
+    if (entry) {
+      // Most recently used goes to the end of the Map's order
+      tiles.delete(key);
+      tiles.set(key, entry);
+      const retry = entry.status === 'error' && Date.now() - entry.failedAt >= TILE_RETRY_MS;
+      if (!retry) return entry;
+    }
+
+    const loading = { status: 'loading', tile: null, failedAt: 0 };
+    tiles.set(key, loading);
+    Promise.resolve()
+      .then(() => loadTile(z, x, y))
+      .then((tile) => {
+        loading.status = 'ready';
+        loading.tile = tile;
+      })
+      .catch((error) => {
+        loading.status = 'error';
+        loading.failedAt = Date.now();
+        console.warn(`[Terrain] DEM tile ${key} failed:`, error?.message ?? error);
+      });
+
+    // Evict the least recently used ready/failed tiles
+    for (const [oldKey, oldEntry] of tiles) {
+      if (tiles.size <= maxTiles) break;
+      if (oldEntry.status !== 'loading') tiles.delete(oldKey);
+    }
+    return loading;
+  }
+
+  return {
+    getElevationMeters(lat, lon) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      const position = tileCoordinates(lat, lon, zoom);
+      const x = Math.floor(position.x);
+      const y = Math.floor(position.y);
+      const entry = requestTile(zoom, x, y);
+      if (entry.status !== 'ready') return null;
+      return Math.max(0, sampleTile(entry.tile, position.x - x, position.y - y));
+    },
+
+    // Requests the tiles within radiusNm of a point ahead of time
+    prefetch(lat, lon, radiusNm = 5) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      const dLat = radiusNm / 60;
+      const dLon = radiusNm / (60 * Math.max(0.1, Math.cos(lat * DEG_TO_RAD)));
+      const northWest = tileCoordinates(lat + dLat, lon - dLon, zoom);
+      const southEast = tileCoordinates(lat - dLat, lon + dLon, zoom);
+      for (let y = Math.floor(northWest.y); y <= Math.floor(southEast.y); y++) {
+        for (let x = Math.floor(northWest.x); x <= Math.floor(southEast.x); x++) {
+          requestTile(zoom, x, y);
+        }
+      }
+    },
+
+    clear() {
+      tiles.clear();
+    },
+  };
+}
+
+/**
+ * Tile loader for Mapbox terrain-RGB (mapbox.mapbox-terrain-dem-v1), browser only
+ * elevation = -10000 + (R * 65536 + G * 256 + B) * 0.1 m
+ */
+export function createMapboxDemTileLoader(accessToken) {
+  return async function loadMapboxDemTile(z, x, y) {
+    const url =
+      `https://api.mapbox.com/v4/mapbox.mapbox-terrain-dem-v1/${z}/${x}/${y}.pngraw` +
+      `?access_token=${encodeURIComponent(accessToken)}`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob());
+    const size = bitmap.width;
+    const canvas = new OffscreenCanvas(size, size);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close?.();
+    const { data } = context.getImageData(0, 0, size, size);
+    const elevations = new Float32Array(size * size);
+    for (let i = 0; i < elevations.length; i++) {
+      const offset = i * 4;
+      elevations[i] =
+        -10000 + (data[offset] * 65536 + data[offset + 1] * 256 + data[offset + 2]) * 0.1;
+    }
+    return { size, elevations };
+  };
+}
+
+/**
+ * Terrain in local coordinates for the flight model
+ * @param {Object} provider - Any provider above
+ * @param {Function} toLatLon - (x, y) => { lat, lon } (Map.vue's converter or geo.js)
+ * @returns {Function} (x, y) => meters MSL | null
+ */
+export function toLocalTerrain(provider, toLatLon) {
+  return function terrainElevationAt(x, y) {
+    const { lat, lon } = toLatLon(x, y);
+    return provider.getElevationMeters(lat, lon);
+  };
+}
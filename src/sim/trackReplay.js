@@ -0,0 +1,323 @@
+/**
+ * Traffic replay from recorded tracks (ADS-B exports or hand-made recordings)
+ * A recording is CSV with a header row, or JSON, holding time, id, lat, lon,
+ * altitude, heading and speed samples per aircraft. Column names follow common
+ * exports (see COLUMN_ALIASES): feet and knots by default, meters and m/s for
+ * OpenSky-style `baroaltitude`/`geoaltitude`/`velocity`. Times are seconds
+ * (epoch or relative) or ISO date strings; the replay clock starts at the
+ * earliest sample. Missing headings and speeds are derived from the positions.
+ *
+ * JSON formats:
+ *   { tracks: [{ id, aircraftType?, samples: [{ t, lat, lon, altitudeFt, headingDeg, groundspeedKt }] }] }
+ *   [{ time, id, lat, lon, altitudeFt, headingDeg, groundspeedKt }, ...]  - rows like the CSV
+ *
+ * Contacts interpolate their track on the replay clock, which advances on the
+ * sim's fixed steps like the scenario timeline, so they stay in sync with it.
+ */
+
+import { getAircraftProfile, hasAircraftProfile } from './aircraftProfiles.js';
+import { greatCircleBearingDeg, greatCircleDistanceNm } from './geo.js';
+
+const FT_TO_M = 0.3048;
+const M_TO_FT = 1 / FT_TO_M;
+const MPS_TO_KT = 1 / 0.514444;
+const KT_TO_MPS = 0.514444;
+const DEG_TO_RAD = Math.PI / 180;
+const GRAVITY_MPS2 = 9.81;
+const MAX_BANK_DEG = 45;
+
+// Sample field -> accepted column names (lowercase, no separators) and unit factor
+const COLUMN_ALIASES = {
+  t: [['t', 'time', 'timestamp', 'times', 'epoch', 'seconds'], 1],
+  id: [['id', 'callsign', 'flight', 'icao24', 'hex', 'icao'], 1],
+  aircraftType: [['aircrafttype', 'type', 'actype'], 1],
+  lat: [['lat', 'latitude'], 1],
+  lon: [['lon', 'lng', 'long', 'longitude'], 1],
+  altitudeFt: [['altitudeft', 'altitude', 'alt', 'altft', 'altbaro', 'altgeom'], 1],
+  altitudeM: [['altitudem', 'altm', 'baroaltitude', 'geoaltitude'], M_TO_FT],
+  headingDeg: [['headingdeg', 'heading', 'track', 'truetrack', 'trackdeg'], 1],
+  groundspeedKt: [['groundspeedkt', 'groundspeed', 'gs', 'speed', 'speedkt'], 1],
+  groundspeedMps: [['velocity', 'groundspeedmps', 'speedmps'], MPS_TO_KT],
+};
+
+const columnKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column name -> { field, factor }
+const COLUMN_LOOKUP = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, [names, factor]]) =>
+    names.map((name) => [name, { field, factor }])
+  )
+);
+
+function toSeconds(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (text === '') return NaN;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : Date.parse(text) / 1000;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Row object with export column names -> sample fields (null when missing)
+function normalizeRow(row) {
+  const sample = {};
+  for (const [name, value] of Object.entries(row)) {
+    const column = COLUMN_LOOKUP.get(columnKey(name));
+    if (!column || sample[column.field] != null) continue;
+    if (column.field === 't') sample.t = toSeconds(value);
+    else if (column.field === 'id' || column.field === 'aircraftType') {
+      const text = String(value ?? '').trim();
+      sample[column.field] = text || null;
+    } else {
+      const number = toNumberOrNull(value);
+      sample[column.field] = number === null ? null : number * column.factor;
+    }
+  }
+  return {
+    t: sample.t,
+    id: sample.id ?? null,
+    aircraftType: sample.aircraftType ?? null,
+    lat: sample.lat ?? null,
+    lon: sample.lon ?? null,
+    altitudeFt: sample.altitudeFt ?? sample.altitudeM ?? null,
+    headingDeg: sample.headingDeg ?? null,
+    groundspeedKt: sample.groundspeedKt ?? sample.groundspeedMps ?? null,
+  };
+}
+
+// Splits one CSV line, honoring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseCsvRows(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (lines.length === 0) return [];
+  const header = splitCsvLine(lines[0]).map((name) => name.trim());
+  return lines.slice(1).map((line) => {
+    const values = splitCsvLine(line);
+    return Object.fromEntries(header.map((name, index) => [name, values[index]]));
+  });
+}
+
+// Heading/speed from neighbouring samples where the recording has none
+function fillDerivedFields(samples) {
+  samples.forEach((sample, index) => {
+    const from = samples[Math.max(0, index - 1)];
+    const to = samples[Math.min(samples.length - 1, index + 1)];
+    if (from === to) return;
+    if (sample.headingDeg === null) {
+      sample.headingDeg = greatCircleBearingDeg(from.lat, from.lon, to.lat, to.lon);
+    }
+    if (sample.groundspeedKt === null && to.t > from.t) {
+      const distanceNm = greatCircleDistanceNm(from.lat, from.lon, to.lat, to.lon);
+      sample.groundspeedKt = (distanceNm / (to.t - from.t)) * 3600;
+    }
+  });
+  for (const sample of samples) {
+    sample.headingDeg ??= 0;
+    sample.groundspeedKt ??= 0;
+  }
+}
+
+/**
+ * @param {string|Object|Array} source - CSV text, JSON text, or parsed JSON
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' | 'json' (default: JSON when the text starts with [ or {)
+ * @returns {{ durationSec: number, tracks: Array<{ id, aircraftType, samples }> }} Sample
+ *   times in seconds from the start of the recording; tracks need two samples
+ */
+export function parseTrackRecording(source, { format } = {}) {
+  let data = source;
+  if (typeof source === 'string') {
+    const looksJson = /^\s*[[{]/.test(source);
+    const isJson = (format ?? (looksJson ? 'json' : 'csv')) === 'json';
+    data = isJson ? JSON.parse(source) : parseCsvRows(source);
+  }
+
+  // Rows grouped by aircraft id
+  const grouped = new Map();
+  const addSample = (id, aircraftType, row) => {
+    const sample = normalizeRow(row);
+    if (!Number.isFinite(sample.t) || sample.lat === null || sample.lon === null) return;
+    const key = id ?? sample.id;
+    if (!key) return;
+    if (!grouped.has(key)) grouped.set(key, { id: key, aircraftType: null, samples: [] });
+    const track = grouped.get(key);
+    track.aircraftType ??= aircraftType ?? sample.aircraftType;
+    track.samples.push(sample);
+  };
+  if (Array.isArray(data?.tracks)) {
+    for (const track of data.tracks) {
+      for (const row of track.samples ?? []) addSample(track.id, track.aircraftType, row);
+    }
+  } else if (Array.isArray(data)) {
+    for (const row of data) addSample(null, null, row);
+  } else {
+    throw new Error('Track recording must be CSV, a JSON array of rows, or { tracks: [...] }');
+  }
+
+  const tracks = [...grouped.values()].filter((track) => track.samples.length >= 2);
+  // reduce, not Math.min(...): a dense recording has too many samples to spread
+  const startSec = tracks.reduce(
+    (earliest, track) => track.samples.reduce((min, sample) => Math.min(min, sample.t), earliest),
+    Infinity
+  );
+  let durationSec = 0;
+  for (const track of tracks) {
+    track.samples.sort((a, b) => a.t - b.t);
+    for (const sample of track.samples) {
+      sample.t -= startSec;
+      sample.altitudeFt ??= 0;
+    }
+    fillDerivedFields(track.samples);
+    durationSec = Math.max(durationSec, track.samples[track.samples.length - 1].t);
+  }
+  return { durationSec, tracks };
+}
+
+const shortestTurnDeg = (fromDeg, toDeg) => ((((toDeg - fromDeg) % 360) + 540) % 360) - 180;
+
+// One recorded aircraft, interpolated at the replay time
+function createReplayContact(track, toLocal, getTimeSec) {
+  const { id, aircraftType, samples } = track;
+  // Recordings name types the sim has no profile for (B737, CRJ9); those use the default
+  const profile = getAircraftProfile(hasAircraftProfile(aircraftType) ? aircraftType : null);
+  const startSec = samples[0].t;
+  const endSec = samples[samples.length - 1].t;
+  let segment = 0; // samples[segment] .. samples[segment + 1] bracket the time
+
+  // Interpolated sample plus the segment's turn rate and climb rate
+  function sampleAt(timeSec) {
+    while (segment > 0 && samples[segment].t > timeSec) segment -= 1;
+    while (segment < samples.length - 2 && samples[segment + 1].t < timeSec) segment += 1;
+    const a = samples[segment];
+    const b = samples[segment + 1];
+    const span = b.t - a.t;
+    const f = span > 0 ? Math.max(0, Math.min(1, (timeSec - a.t) / span)) : 0;
+    const turnDeg = shortestTurnDeg(a.headingDeg, b.headingDeg);
+    return {
+      lat: a.lat + (b.lat - a.lat) * f,
+      lon: a.lon + (b.lon - a.lon) * f,
+      altitudeFt: a.altitudeFt + (b.altitudeFt - a.altitudeFt) * f,
+      headingDeg: (a.headingDeg + turnDeg * f + 360) % 360,
+      groundspeedKt: a.groundspeedKt + (b.groundspeedKt - a.groundspeedKt) * f,
+      turnRateDegps: span > 0 ? turnDeg / span : 0,
+      climbFps: span > 0 ? (b.altitudeFt - a.altitudeFt) / span : 0,
+    };
+  }
+
+  return {
+    id,
+    callsign: null, // Recorded traffic has no digital pilot
+    aircraftType,
+    profile,
+
+    // Shown only while the track covers the replay time
+    get active() {
+      const timeSec = getTimeSec();
+      return timeSec >= startSec && timeSec <= endSec;
+    },
+
+    // The replay clock moves the contact (see createTrackReplay)
+    step() {},
+
+    update() {
+      console.warn(`[Track Replay] ${id} is recorded traffic and cannot be re-vectored`);
+    },
+
+    setWind() {},
+
+    getPosition() {
+      const sample = sampleAt(getTimeSec());
+      const { x, y } = toLocal(sample.lat, sample.lon);
+      const groundspeedMps = sample.groundspeedKt * KT_TO_MPS;
+      // Coordinated-turn bank and flight-path pitch, for the 3D model
+      const bankDeg =
+        Math.atan((groundspeedMps * sample.turnRateDegps * DEG_TO_RAD) / GRAVITY_MPS2) / DEG_TO_RAD;
+      const pitchDeg =
+        groundspeedMps > 0 ? Math.atan((sample.climbFps * FT_TO_M) / groundspeedMps) / DEG_TO_RAD : 0;
+      return {
+        x,
+        y,
+        z: sample.altitudeFt * FT_TO_M,
+        headingDeg: sample.headingDeg,
+        bankAngleDeg: Math.max(-MAX_BANK_DEG, Math.min(MAX_BANK_DEG, bankDeg)),
+        pitchAngleDeg: pitchDeg,
+      };
+    },
+
+    // Request schema `traffic` item
+    getReport() {
+      const sample = sampleAt(getTimeSec());
+      return {
+        id,
+        lat: sample.lat,
+        lon: sample.lon,
+        altitudeFt: Math.round(sample.altitudeFt),
+        headingDeg: Math.round(sample.headingDeg),
+        groundspeedKt: Math.round(sample.groundspeedKt),
+      };
+    },
+  };
+}
+
+/**
+ * @param {Object} recording - From parseTrackRecording
+ * @param {Object} frame - { toLocal(lat, lon) => {x, y} } (Map.vue's converter, or
+ *   createLocalProjection from geo.js in headless runs)
+ * @param {Object} [options]
+ * @param {number} [options.offsetSec] - Recording time the replay starts at
+ * @returns {Object} { contacts, step(dt), timeSec, finished }; contacts have the
+ *   traffic contact interface of traffic.js plus `active`
+ */
+export function createTrackReplay(recording, { toLocal }, { offsetSec = 0 } = {}) {
+  let timeSec = offsetSec;
+  const getTimeSec = () => timeSec;
+  const contacts = recording.tracks.map((track) => createReplayContact(track, toLocal, getTimeSec));
+
+  return {
+    contacts,
+
+    step(deltaTime) {
+      if (deltaTime > 0) timeSec += deltaTime;
+    },
+
+    get timeSec() {
+      return timeSec;
+    },
+
+    get finished() {
+      return timeSec > recording.durationSec;
+    },
+  };
+}
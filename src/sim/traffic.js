@@ -0,0 +1,234 @@
+/**
+ * Scenario traffic flown by the full flight model
+ * Each contact is its own createFlightModel with the contact's aircraft profile,
+ * flying a heading, a scripted route (flightPlan-style rows) or a traffic pattern
+ * around a runway, and re-vectored by UPDATE_TRAFFIC. A contact with a `callsign`
+ * is flown by its own digital pilot instead: App.vue applies that pilot's intents to
+ * the contact's flight model (`sim`). Positions are local meters
+ * (x = east, y = south) in the caller's frame; the caller supplies
+ * toLocal(lat, lon) => { x, y } and toLatLon(x, y) => { lat, lon } (Map.vue's
+ * converters, or createLocalProjection from geo.js in headless runs).
+ * Altitudes are MSL: the model's origin is sea level.
+ */
+
+import { getAircraftProfile } from './aircraftProfiles.js';
+import { createFlightModel } from './flightModel.js';
+import { createDirectToGuidance, createRouteGuidance } from './navGuidance.js';
+import { findWaypoint, resolveFlightPlan } from './navdata.js';
+import { getRunway, trafficPatternRoute } from './runways.js';
+
+const FT_TO_M = 0.3048;
+const M_TO_FT = 1 / FT_TO_M;
+const MPS_TO_KT = 1 / 0.514444;
+const MPS_TO_FPM = 196.85;
+const DEG_TO_RAD = Math.PI / 180;
+
+const PATTERN_DOWNWIND_EXTRA_KT = 20; // Downwind flown this much above approach speed
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Route waypoints for a pattern definition, or null when the runway is unknown
+ * @param {Object} pattern - { airport, runway, direction, entry, altitudeFt, laps }
+ * @param {Object} profile - Aircraft profile (pattern speeds come from its approach speed)
+ */
+function resolvePatternRoute(pattern, profile) {
+  const runway = getRunway(pattern?.airport, pattern?.runway);
+  if (!runway) {
+    console.warn(`[Traffic] Unknown pattern runway ${pattern?.airport} ${pattern?.runway}`);
+    return null;
+  }
+  return trafficPatternRoute(runway, {
+    direction: pattern.direction,
+    entry: pattern.entry,
+    altitudeFt: pattern.altitudeFt,
+    laps: pattern.laps,
+    downwindSpeedKt: profile.approachSpeedKt + PATTERN_DOWNWIND_EXTRA_KT,
+    finalSpeedKt: profile.approachSpeedKt,
+  });
+}
+
+/**
+ * @param {Object} definition - ADD_TRAFFIC `traffic`: { id, lat, lon, altitudeFt, headingDeg,
+ *   groundspeedKt (flown as indicated), aircraftType, route?: flightPlan rows,
+ *   pattern?: { airport, runway, direction, entry, altitudeFt, laps },
+ *   callsign?: digital pilot callsign, phase?: request schema phase (default enroute) }
+ * @param {Object} frame - { toLocal(lat, lon) => {x, y}, toLatLon(x, y) => {lat, lon} }
+ * @param {Object} [options]
+ * @param {Object} [options.windModel] - Shared wind model (windModel.js)
+ * @returns {Object} Contact with step(dt), update(changes), setWind(model),
+ *   getPosition() and getReport(); for digital pilots also sim, directTo(fix),
+ *   enterHold(hold), resumeNavigation() and getPilotState()
+ */
+export function createTrafficAircraft(definition, { toLocal, toLatLon }, { windModel = null } = {}) {
+  const { id, aircraftType = null, callsign = null, phase = 'enroute' } = definition;
+  const profile = getAircraftProfile(aircraftType);
+  const spawn = toLocal(definition.lat, definition.lon);
+  const altitudeFt = isNumber(definition.altitudeFt) ? definition.altitudeFt : 0;
+  const headingDeg = isNumber(definition.headingDeg) ? definition.headingDeg : 0;
+  const speedKt = isNumber(definition.groundspeedKt)
+    ? definition.groundspeedKt
+    : profile.cruiseSpeedKt;
+
+  const model = createFlightModel({
+    initialHeadingDeg: headingDeg,
+    initialAltitudeMeters: altitudeFt * FT_TO_M,
+    initialSpeedKt: speedKt,
+    profile,
+  });
+  model.setWind(windModel);
+  model.setHeading(headingDeg);
+  model.setAltitude(altitudeFt);
+  model.setSpeed(speedKt);
+
+  // The model flies relative to its spawn point
+  const modelToLatLon = (x, y) => toLatLon(spawn.x + x, spawn.y + y);
+  let routeGuidance = null; // Scripted route or pattern, kept to resume after vectors
+
+  // Route legs carry their own altitude/speed (ATC updates override until the next leg)
+  function applyWaypointConstraints(waypoint) {
+    if (isNumber(waypoint.altitudeFt)) model.setAltitude(waypoint.altitudeFt);
+    if (isNumber(waypoint.speedKt)) model.setSpeed(waypoint.speedKt);
+  }
+
+  // Flown from the first waypoint rather than rejoining the closest leg like the
+  // ownship: traffic is spawned off its route, and a pattern repeats its legs every lap
+  function followRoute(waypoints) {
+    if (!waypoints?.length) return false;
+    routeGuidance = createRouteGuidance(waypoints, modelToLatLon, {
+      onActiveWaypointChange: applyWaypointConstraints,
+    });
+    routeGuidance.directTo(waypoints[0].ident ?? waypoints[0].name);
+    model.setNavGuidance(routeGuidance);
+    return model.engageNav();
+  }
+
+  // A fix on the route continues with the legs after it
+  function directTo(fixName) {
+    if (routeGuidance?.directTo(fixName)) {
+      model.setNavGuidance(routeGuidance);
+      return model.engageNav();
+    }
+    const waypoint = findWaypoint(fixName);
+    if (!waypoint) {
+      console.warn(`[Traffic] ${id}: unknown direct-to fix ${fixName}`);
+      return false;
+    }
+    model.setNavGuidance(createDirectToGuidance(waypoint, modelToLatLon));
+    return model.engageNav();
+  }
+
+  /**
+   * Re-vectors the contact (UPDATE_TRAFFIC `traffic`)
+   * @param {Object} changes - { route?, pattern?, directTo?, headingDeg?, turnDirection?,
+   *   altitudeFt?, verticalSpeedFpm?, speedKt? }; lateral changes take the first of
+   *   route, pattern, directTo, headingDeg. Altitude and speed apply after, so they
+   *   override the first leg's constraints.
+   */
+  function update(changes = {}) {
+    if (Array.isArray(changes.route)) {
+      followRoute(resolveFlightPlan(changes.route));
+    } else if (changes.pattern) {
+      followRoute(resolvePatternRoute(changes.pattern, profile));
+    } else if (typeof changes.directTo === 'string') {
+      directTo(changes.directTo);
+    } else if (isNumber(changes.headingDeg)) {
+      model.setHeading(changes.headingDeg, changes.turnDirection || 'shortest');
+    }
+    if (isNumber(changes.altitudeFt)) model.setAltitude(changes.altitudeFt);
+    if (isNumber(changes.verticalSpeedFpm)) model.setVerticalSpeed(changes.verticalSpeedFpm);
+    if (isNumber(changes.speedKt)) model.setSpeed(changes.speedKt);
+  }
+
+  // Hold at a navdata fix (by name) or at present position (fix null)
+  function enterHold(hold) {
+    const waypoint = hold.fix ? findWaypoint(hold.fix) : null;
+    if (hold.fix && !waypoint) console.warn(`[Traffic] ${id}: unknown hold fix ${hold.fix}`);
+    const local = waypoint ? toLocal(waypoint.lat, waypoint.lon) : null;
+    return model.enterHold({
+      ...hold,
+      fix: local ? { x: local.x - spawn.x, y: local.y - spawn.y } : null,
+    });
+  }
+
+  // Scripted route or pattern from the start
+  update({ route: definition.route, pattern: definition.pattern });
+
+  return {
+    id,
+    callsign,
+    phase,
+    profile,
+
+    // Flight model, for applying a digital pilot's intents (see intentApplier.js)
+    get sim() {
+      return model;
+    },
+
+    step(deltaTime) {
+      model.step(deltaTime);
+    },
+
+    update,
+    directTo,
+    enterHold,
+
+    // Back onto the scripted route or pattern, if any
+    resumeNavigation() {
+      if (routeGuidance) model.setNavGuidance(routeGuidance);
+      return model.engageNav();
+    },
+
+    setWind(nextWindModel) {
+      model.setWind(nextWindModel);
+    },
+
+    // Caller-frame local position; z in meters MSL
+    getPosition() {
+      const state = model.getState();
+      return {
+        x: spawn.x + state.x,
+        y: spawn.y + state.y,
+        z: state.z,
+        headingDeg: state.headingDeg,
+        bankAngleDeg: state.bankAngleDeg,
+        pitchAngleDeg: state.pitchAngleDeg,
+      };
+    },
+
+    // Request schema `traffic` item
+    getReport() {
+      const state = model.getState();
+      const { lat, lon } = modelToLatLon(state.x, state.y);
+      return {
+        id,
+        lat,
+        lon,
+        altitudeFt: Math.round(state.z * M_TO_FT),
+        headingDeg: Math.round(state.headingDeg),
+        groundspeedKt: Math.round(state.groundspeedMps * MPS_TO_KT),
+      };
+    },
+
+    // Request schema `state` for this contact's digital pilot
+    getPilotState() {
+      const state = model.getState();
+      const { lat, lon } = modelToLatLon(state.x, state.y);
+      const verticalSpeedMps = state.trueAirspeedMps * Math.sin(state.pitchAngleDeg * DEG_TO_RAD);
+      return {
+        lat,
+        lon,
+        altitudeFt: Math.round(state.z * M_TO_FT),
+        headingDeg: Math.round(state.headingDeg),
+        groundspeedKt: Math.round(state.groundspeedMps * MPS_TO_KT),
+        vsFpm: Math.round(verticalSpeedMps * MPS_TO_FPM),
+        indicatedAirspeedKt: Math.round(state.speedMps * MPS_TO_KT),
+        trackDeg: Math.round(state.trackDeg),
+        wind: {
+          directionDeg: Math.round(state.wind.directionDeg),
+          speedKt: Math.round(state.wind.speedKt),
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * Vertical mode manager: ALT, VS, FLCH and VNAV
+ * Turns the altitude clearance into a vertical speed command for the flight
+ * model's pitch controller. Pure and stepped by the flight model like
+ * lateralModes.js; the glideslope (GS) stays in flightModel.js and overrides
+ * these modes while captured.
+ *
+ * Modes:
+ *   ALT  - hold the target altitude (also the mode after any capture)
+ *   VS   - climb/descend at a selected rate to the target altitude
+ *   FLCH - climb/descend at the profile's normal rate to the target altitude
+ *   VNAV - climb via / descend via: fly the route's altitude constraints,
+ *          never beyond the cleared limit altitude
+ *
+ * Clearances are altitude windows: "at" is a single altitude, "at or
+ * above/below" opens one side and a block opens both. The target is the
+ * closest altitude inside the window, so an aircraft already inside it levels
+ * off where it is. Altitudes in ft MSL, rates in fpm (positive = climb).
+ */
+
+export const VERTICAL_MODES = Object.freeze(['ALT', 'VS', 'FLCH', 'VNAV']);
+export const ALTITUDE_RESTRICTIONS = Object.freeze([
+  'at',
+  'atOrAbove',
+  'atOrBelow',
+  'climbVia',
+  'descendVia',
+]);
+
+const DEG_TO_RAD = Math.PI / 180;
+const KT_TO_MPS = 0.514444;
+const FT_PER_NM = 6076.12;
+
+// Share of the profile's maximum rates flown without "expedite"
+const NORMAL_CLIMB_FRACTION = 0.75;
+const NORMAL_DESCENT_FRACTION = 0.6;
+// AIM 4-4-10: 500-1500 fpm for the last 1000 ft unless expediting
+const LAST_1000_FT_MAX_FPM = 1500;
+// Capture: rate eases off at this many fpm per ft to go (0.1/s, as before)
+const ALT_CAPTURE_GAIN_PER_MIN = 6;
+const ALT_CAPTURED_FT = 30; // Inside this the mode annunciates ALT
+const VNAV_PATH_ANGLE_DEG = 3; // Geometric descent path toward a constraint
+
+const clampAltitude = (altitudeFt) => Math.max(-1000, Math.min(60000, altitudeFt));
+
+// Altitude bounds one route constraint places on the aircraft at that fix
+function constraintBounds({ altitudeFt, altitudeConstraint }) {
+  return {
+    lowerFt: altitudeConstraint === 'atOrBelow' ? -Infinity : altitudeFt,
+    upperFt: altitudeConstraint === 'atOrAbove' ? Infinity : altitudeFt,
+  };
+}
+
+export function createVerticalModeManager() {
+  let mode = null; // Active mode; null = no vertical automation (manual pitch)
+  let targetAltitudeFt = null; // Altitude being captured/held (VNAV: current path target)
+  // 'at' | 'atOrAbove' | 'atOrBelow' | 'block' | 'climbVia' | 'descendVia'
+  let restriction = null;
+  let windowLowerFt = null; // Cleared window; null = open on that side
+  let windowUpperFt = null;
+  let selectedVerticalSpeedFpm = null; // ATC-assigned rate (magnitude) for VS
+  let expedite = false; // Maximum rates until the target is captured
+
+  let vnavDirection = null; // 'climb' | 'descend'
+  let vnavLimitFt = null; // "Descend via ..., except maintain 5000": bottom (climb via: top)
+  let vnavLevelFt = null; // VNAV never reverses: lowest (highest) altitude reached so far
+
+  function selectMode(currentAltitudeFt) {
+    if (
+      !Number.isFinite(currentAltitudeFt) ||
+      Math.abs(targetAltitudeFt - currentAltitudeFt) <= ALT_CAPTURED_FT
+    ) {
+      mode = 'ALT';
+      expedite = false;
+    } else {
+      mode = selectedVerticalSpeedFpm !== null ? 'VS' : 'FLCH';
+    }
+  }
+
+  // Closest altitude to the present one that the window allows
+  function setWindow(lowerFt, upperFt, currentAltitudeFt, kind) {
+    windowLowerFt = lowerFt;
+    windowUpperFt = upperFt;
+    restriction = kind;
+    vnavDirection = null;
+    vnavLimitFt = null;
+    selectedVerticalSpeedFpm = null;
+    expedite = false;
+    const fromFt = Number.isFinite(currentAltitudeFt)
+      ? currentAltitudeFt
+      : (lowerFt ?? upperFt);
+    targetAltitudeFt = clampAltitude(
+      Math.max(lowerFt ?? -Infinity, Math.min(upperFt ?? Infinity, fromFt))
+    );
+    selectMode(currentAltitudeFt);
+  }
+
+  // Climb via / descend via the route; limitFt null = the route's constraints only
+  function setVnav(direction, limitFt, currentAltitudeFt) {
+    mode = 'VNAV';
+    restriction = direction === 'climb' ? 'climbVia' : 'descendVia';
+    vnavDirection = direction === 'climb' ? 'climb' : 'descend';
+    vnavLimitFt = Number.isFinite(limitFt) ? clampAltitude(limitFt) : null;
+    vnavLevelFt = Number.isFinite(currentAltitudeFt) ? currentAltitudeFt : null;
+    windowLowerFt = vnavDirection === 'descend' ? vnavLimitFt : null;
+    windowUpperFt = vnavDirection === 'climb' ? vnavLimitFt : null;
+    targetAltitudeFt = vnavLevelFt;
+    selectedVerticalSpeedFpm = null;
+    expedite = false;
+  }
+
+  // Climb/descent rate toward a target, easing into the capture
+  function rateTowardFpm(diffFt, state) {
+    const climbing = diffFt > 0;
+    const maxFpm = climbing ? state.maxClimbFpm : state.maxDescentFpm;
+    let rateFpm;
+    if (expedite) {
+      rateFpm = maxFpm;
+    } else if (mode === 'VS' && selectedVerticalSpeedFpm !== null) {
+      rateFpm = selectedVerticalSpeedFpm;
+    } else {
+      rateFpm =
+        maxFpm * (climbing ? NORMAL_CLIMB_FRACTION : NORMAL_DESCENT_FRACTION);
+      if (Math.abs(diffFt) < 1000) rateFpm = Math.min(rateFpm, LAST_1000_FT_MAX_FPM);
+    }
+    rateFpm = Math.min(rateFpm, maxFpm, Math.abs(diffFt) * ALT_CAPTURE_GAIN_PER_MIN);
+    return climbing ? rateFpm : -rateFpm;
+  }
+
+  /**
+   * VNAV target: descend via stays as high as the 3° path to the next
+   * at/at-or-below constraint allows, but not below an at/at-or-above
+   * constraint still ahead or the limit; climb via climbs to the lowest
+   * at/at-or-below constraint ahead or the limit. Without constraints ahead
+   * VNAV flies to the limit (or holds). Neither direction ever reverses.
+   * @returns {{altitudeFt: number, pathRateFpm: number}}
+   */
+  function vnavTarget(state) {
+    const constraints = (state.constraintsAhead || []).filter((constraint) =>
+      Number.isFinite(constraint?.altitudeFt)
+    );
+    if (vnavLevelFt === null) vnavLevelFt = state.altitudeFt;
+
+    if (vnavDirection === 'climb') {
+      let ceilingFt = vnavLimitFt ?? Infinity;
+      let highestFloorFt = vnavLevelFt;
+      for (const constraint of constraints) {
+        const { lowerFt, upperFt } = constraintBounds(constraint);
+        ceilingFt = Math.min(ceilingFt, upperFt);
+        highestFloorFt = Math.max(highestFloorFt, lowerFt);
+      }
+      // Only at-or-above constraints and no limit: climb to the highest of them
+      if (!Number.isFinite(ceilingFt)) ceilingFt = highestFloorFt;
+      vnavLevelFt = Math.max(vnavLevelFt, ceilingFt);
+      return { altitudeFt: vnavLevelFt, pathRateFpm: 0 };
+    }
+
+    const ftPerNm = Math.tan(VNAV_PATH_ANGLE_DEG * DEG_TO_RAD) * FT_PER_NM;
+    let floorFt = vnavLimitFt ?? -Infinity;
+    let pathFt = constraints.length ? Infinity : (vnavLimitFt ?? vnavLevelFt);
+    for (const constraint of constraints) {
+      const { lowerFt, upperFt } = constraintBounds(constraint);
+      floorFt = Math.max(floorFt, lowerFt);
+      pathFt = Math.min(pathFt, upperFt + Math.max(0, constraint.distanceNm) * ftPerNm);
+    }
+    const altitudeFt = Math.min(vnavLevelFt, Math.max(floorFt, pathFt));
+    vnavLevelFt = altitudeFt;
+    // On the path the target slides down at the path's rate for the groundspeed
+    const onPath = constraints.length > 0 && altitudeFt === pathFt;
+    const groundspeedKt = (state.groundspeedMps || 0) / KT_TO_MPS;
+    return {
+      altitudeFt,
+      pathRateFpm: onPath ? -(groundspeedKt * ftPerNm) / 60 : 0,
+    };
+  }
+
+  /**
+   * Vertical speed command for this step
+   * @param {Object} state - { altitudeFt, groundspeedMps, maxClimbFpm, maxDescentFpm,
+   *   constraintsAhead: Array<{altitudeFt, altitudeConstraint, distanceNm}> | null }
+   * @returns {{verticalSpeedFpm: number, altitudeFt: number}|null} null = no vertical
+   *   automation
+   */
+  function update(state) {
+    switch (mode) {
+      case 'ALT':
+      case 'VS':
+      case 'FLCH': {
+        const diffFt = targetAltitudeFt - state.altitudeFt;
+        if (mode !== 'ALT' && Math.abs(diffFt) <= ALT_CAPTURED_FT) {
+          mode = 'ALT';
+          expedite = false;
+        }
+        return {
+          verticalSpeedFpm: rateTowardFpm(diffFt, state),
+          altitudeFt: targetAltitudeFt,
+        };
+      }
+
+      case 'VNAV': {
+        const { altitudeFt, pathRateFpm } = vnavTarget(state);
+        targetAltitudeFt = altitudeFt;
+        const diffFt = altitudeFt - state.altitudeFt;
+        let verticalSpeedFpm;
+        if (pathRateFpm < 0) {
+          // Track the path: its rate plus a correction for being off it
+          verticalSpeedFpm = Math.max(
+            -state.maxDescentFpm,
+            Math.min(state.maxClimbFpm, pathRateFpm + diffFt * ALT_CAPTURE_GAIN_PER_MIN)
+          );
+        } else {
+          verticalSpeedFpm = rateTowardFpm(diffFt, state);
+        }
+        return { verticalSpeedFpm, altitudeFt };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    update,
+
+    get mode() {
+      return mode;
+    },
+
+    get targetAltitudeFt() {
+      return targetAltitudeFt;
+    },
+
+    /**
+     * Altitude clearance with an optional restriction
+     * 'at' (default) captures the altitude; 'atOrAbove'/'atOrBelow' only move
+     * the aircraft when it is outside; 'climbVia'/'descendVia' engage VNAV with
+     * the altitude as the limit.
+     */
+    setAltitude(altitudeFt, currentAltitudeFt, altitudeRestriction = 'at') {
+      if (altitudeRestriction === 'climbVia' || altitudeRestriction === 'descendVia') {
+        setVnav(
+          altitudeRestriction === 'climbVia' ? 'climb' : 'descend',
+          altitudeFt,
+          currentAltitudeFt
+        );
+        return;
+      }
+      const kind = ALTITUDE_RESTRICTIONS.includes(altitudeRestriction)
+        ? altitudeRestriction
+        : 'at';
+      setWindow(
+        kind === 'atOrBelow' ? null : altitudeFt,
+        kind === 'atOrAbove' ? null : altitudeFt,
+        currentAltitudeFt,
+        kind
+      );
+    },
+
+    // Block altitude: "maintain block 4000 to 6000"
+    setBlock(lowerFt, upperFt, currentAltitudeFt) {
+      setWindow(
+        Math.min(lowerFt, upperFt),
+        Math.max(lowerFt, upperFt),
+        currentAltitudeFt,
+        'block'
+      );
+    },
+
+    setVnav,
+
+    // ATC-assigned rate for the current climb/descent; null returns to the normal rate
+    setVerticalSpeed(rateFpm, currentAltitudeFt) {
+      selectedVerticalSpeedFpm =
+        Number.isFinite(rateFpm) && rateFpm > 0 ? rateFpm : null;
+      if (mode === 'VS' || mode === 'FLCH') selectMode(currentAltitudeFt);
+    },
+
+    // Maximum rates until the target is captured; ignored when already level
+    setExpedite(enabled = true) {
+      expedite = Boolean(enabled) && mode !== null && mode !== 'ALT';
+      return expedite;
+    },
+
+    clear() {
+      mode = null;
+      targetAltitudeFt = null;
+      restriction = null;
+      windowLowerFt = null;
+      windowUpperFt = null;
+      selectedVerticalSpeedFpm = null;
+      expedite = false;
+      vnavDirection = null;
+      vnavLimitFt = null;
+      vnavLevelFt = null;
+    },
+
+    getStatus() {
+      return {
+        mode,
+        targetAltitudeFt,
+        restriction,
+        windowLowerFt,
+        windowUpperFt,
+        selectedVerticalSpeedFpm,
+        expedite,
+        vnavLimitFt,
+      };
+    },
+  };
+}
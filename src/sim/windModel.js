@@ -0,0 +1,118 @@
+/**
+ * Wind field: steady wind per altitude band plus optional gusts
+ * Pure and deterministic (gusts come from fixed sine mixes, not Math.random),
+ * so headless runs with the same scenario give the same drift.
+ *
+ * Definition format (scenario `wind` or SET_WIND event `wind`):
+ *   { directionDeg, speedKt, gustKt }                      - one band for all altitudes
+ *   { layers: [{ minAltFt, maxAltFt, directionDeg, speedKt, gustKt }] }
+ * directionDeg is where the wind blows FROM (true), gustKt the peak gust speed.
+ */
+
+const KT_TO_MPS = 0.514444; // knots to meters per second
+const DEG_TO_RAD = Math.PI / 180;
+
+const toRadians = (deg) => deg * DEG_TO_RAD;
+const normalizeHeading = (heading) => {
+  heading = heading % 360;
+  return heading < 0 ? heading + 360 : heading;
+};
+
+// Gust periods (seconds); incommensurate so the pattern does not repeat quickly
+const GUST_PERIOD_A_S = 7.3;
+const GUST_PERIOD_B_S = 3.1;
+
+const CALM = Object.freeze({
+  directionDeg: 0,
+  speedKt: 0,
+  gustKt: 0,
+  eastMps: 0,
+  northMps: 0,
+});
+
+function toNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function normalizeLayer(layer = {}) {
+  const speedKt = Math.max(0, toNumber(layer.speedKt, 0));
+  return {
+    minAltFt: toNumber(layer.minAltFt, -Infinity),
+    maxAltFt: toNumber(layer.maxAltFt, Infinity),
+    directionDeg: normalizeHeading(toNumber(layer.directionDeg, 0)),
+    speedKt,
+    // A gust below the steady speed means no gusts
+    gustKt: Math.max(speedKt, toNumber(layer.gustKt, speedKt)),
+  };
+}
+
+/**
+ * Normalizes a scenario wind definition into sorted altitude bands
+ * @param {Object|null} definition - See module header
+ * @returns {Array<Object>} Bands sorted by floor
+ */
+export function normalizeWindDefinition(definition) {
+  if (!definition) return [];
+  const layers = Array.isArray(definition.layers)
+    ? definition.layers
+    : [definition];
+  return layers
+    .map(normalizeLayer)
+    .sort((a, b) => a.minAltFt - b.minAltFt);
+}
+
+export function createWindModel(definition = null) {
+  const layers = normalizeWindDefinition(definition);
+
+  function findLayer(altitudeFt) {
+    if (!layers.length) return null;
+    const inside = layers.find(
+      (layer) => altitudeFt >= layer.minAltFt && altitudeFt < layer.maxAltFt
+    );
+    if (inside) return inside;
+    // Outside every band: use the closest one
+    return altitudeFt < layers[0].minAltFt ? layers[0] : layers[layers.length - 1];
+  }
+
+  /**
+   * Wind at an altitude and sim time
+   * @param {number} altitudeFt - Absolute altitude (ft MSL)
+   * @param {number} simTimeSeconds - Sim time, drives the gust pattern
+   * @returns {{directionDeg: number, speedKt: number, gustKt: number, eastMps: number, northMps: number}}
+   *   eastMps/northMps are the air-mass velocity (where the wind blows TO)
+   */
+  function getWind(altitudeFt, simTimeSeconds = 0) {
+    const layer = findLayer(altitudeFt);
+    if (!layer || layer.gustKt <= 0) return CALM;
+
+    let speedKt = layer.speedKt;
+    if (layer.gustKt > layer.speedKt) {
+      // 0..1 gust factor, smooth and repeatable
+      const a = Math.sin((2 * Math.PI * simTimeSeconds) / GUST_PERIOD_A_S);
+      const b = Math.sin((2 * Math.PI * simTimeSeconds) / GUST_PERIOD_B_S);
+      const gustFactor = Math.max(0, a * (0.5 + 0.5 * b));
+      speedKt += (layer.gustKt - layer.speedKt) * gustFactor;
+    }
+
+    const speedMps = speedKt * KT_TO_MPS;
+    const fromRad = toRadians(layer.directionDeg);
+    return {
+      directionDeg: layer.directionDeg,
+      speedKt,
+      gustKt: layer.gustKt,
+      eastMps: -Math.sin(fromRad) * speedMps,
+      northMps: -Math.cos(fromRad) * speedMps,
+    };
+  }
+
+  return {
+    getWind,
+    get isCalm() {
+      return layers.every((layer) => layer.gustKt <= 0);
+    },
+    get layers() {
+      return layers.map((layer) => ({ ...layer }));
+    },
+  };
+}